@@ -1,5 +1,14 @@
 require('dotenv').config();
 
+/**
+ * Entier lu dans l'environnement : 0 est une valeur valide, seule une valeur absente
+ * ou non numérique donne la valeur par défaut
+ */
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
 module.exports = {
   // Serveur
   server: {
@@ -32,6 +41,16 @@ module.exports = {
     maxBuzzers: parseInt(process.env.MAX_BUZZERS, 10) || 10,
     mcqDuration: parseInt(process.env.MCQ_DURATION, 10) || 30000,
     buzzerDuration: parseInt(process.env.BUZZER_DURATION, 10) || 10000,
+    revealDelay: intFromEnv('REVEAL_DELAY', 5000),
+    buzzWindow: parseInt(process.env.BUZZ_WINDOW, 10) || 200,
+    answerDuration: intFromEnv('ANSWER_DURATION', 0), // 0 = temps de réponse illimité
+    tickInterval: intFromEnv('TICK_INTERVAL', 1000), // 0 = pas de décompte intermédiaire
+  },
+
+  // Médias des questions (images, extraits audio)
+  media: {
+    dir: process.env.MEDIA_DIR || './data/media',
+    maxSize: process.env.MEDIA_MAX_SIZE || '10mb',
   },
 
   // Logs
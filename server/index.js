@@ -2,7 +2,6 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
-const path = require('path');
 const config = require('./config');
 const logger = require('./utils/logger');
 
@@ -33,6 +32,8 @@ try {
   // 3. SERVICES (après la BDD)
   // ═══════════════════════════════════════
   const gameService = require('./services/game.service');
+  const eventLogService = require('./services/event-log.service');
+  gameService.restoreActiveGames();
 
   // ═══════════════════════════════════════
   // 4. ROUTES (après les services)
@@ -59,6 +60,7 @@ try {
   // ═══════════════════════════════════════
   const WebSocketServer = require('./websocket/server');
   const wss = new WebSocketServer(server);
+  app.locals.wss = wss; // accessible depuis les routes (ex: salles dans /api/status)
 
   // 7. Injecter les dépendances dans le WebSocket
   const db = databaseService.getDb();
@@ -83,6 +85,8 @@ try {
   process.on('SIGINT', () => {
     logger.info('');
     logger.info('Shutting down...');
+    gameService.clearAllTimers();
+    eventLogService.stopAllReplays();
     databaseService.close();
     server.close(() => {
       logger.info('Server stopped');
@@ -92,6 +96,8 @@ try {
 
   process.on('SIGTERM', () => {
     logger.info('SIGTERM received');
+    gameService.clearAllTimers();
+    eventLogService.stopAllReplays();
     databaseService.close();
     server.close(() => {
       process.exit(0);
@@ -1,5 +1,4 @@
 const authService = require('../services/auth.service');
-const logger = require('../utils/logger');
 
 /**
  * Middleware pour vérifier le token JWT
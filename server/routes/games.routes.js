@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const gameService = require('../services/game.service');
-const rankingService = require('../services/ranking.service');
+const eventLogService = require('../services/event-log.service');
+const { PHASES } = require('../services/game-state');
 const { authenticateJWT, optionalAuth } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
 
@@ -50,10 +51,12 @@ router.get('/:id', (req, res) => {
       id: game.id,
       name: game.name,
       status: game.status,
+      phase: game.phase,
       currentQuestionIndex: game.currentQuestionIndex,
       totalQuestions: game.questionIds.length,
       playerCount: game.players.size,
       players: Array.from(game.players.values()),
+      teams: gameService.getTeams(game.id),
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -76,7 +79,43 @@ router.post('/:id/start', (req, res) => {
     });
   } catch (error) {
     logger.error(`Start game error: ${error.message}`);
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/games/:id/pause
+ * Mettre une partie en pause
+ */
+router.post('/:id/pause', (req, res) => {
+  try {
+    const result = gameService.pauseGame(req.params.id);
+
+    res.json({
+      ...result,
+      message: 'Game paused',
+    });
+  } catch (error) {
+    logger.error(`Pause game error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/games/:id/resume
+ * Reprendre une partie en pause
+ */
+router.post('/:id/resume', (req, res) => {
+  try {
+    const result = gameService.resumeGame(req.params.id);
+
+    res.json({
+      ...result,
+      message: 'Game resumed',
+    });
+  } catch (error) {
+    logger.error(`Resume game error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
   }
 });
 
@@ -103,7 +142,7 @@ router.post('/:id/players', (req, res) => {
     });
   } catch (error) {
     logger.error(`Register player error: ${error.message}`);
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 400).json({ error: error.message });
   }
 });
 
@@ -128,13 +167,147 @@ router.put('/:id/players/:buzzerID', (req, res) => {
     });
   } catch (error) {
     logger.error(`Rename player error: ${error.message}`);
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/games/:id/adjustments
+ * Lister les bonus / pénalités manuels d'une partie
+ */
+router.get('/:id/adjustments', (req, res) => {
+  try {
+    const adjustments = gameService.getAdjustments(req.params.id);
+    res.json(adjustments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/games/:id/players/:buzzerID/adjustments
+ * Lister les bonus / pénalités manuels d'un joueur
+ */
+router.get('/:id/players/:buzzerID/adjustments', (req, res) => {
+  try {
+    const adjustments = gameService.getAdjustments(req.params.id, req.params.buzzerID);
+    res.json(adjustments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/games/:id/players/:buzzerID/adjustments
+ * Ajouter un bonus / une pénalité manuelle (AUTH REQUISE)
+ */
+router.post('/:id/players/:buzzerID/adjustments', authenticateJWT, (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (!Number.isInteger(amount) || amount === 0 || !reason) {
+      return res.status(400).json({
+        error: 'amount (non-zero integer) and reason are required'
+      });
+    }
+
+    const adjustment = gameService.addAdjustment(
+      req.params.id,
+      req.params.buzzerID,
+      amount,
+      reason,
+      req.user.username
+    );
+
+    res.status(201).json(adjustment);
+  } catch (error) {
+    logger.error(`Adjustment error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/games/:id/teams
+ * Lister les équipes d'une partie
+ */
+router.get('/:id/teams', (req, res) => {
+  try {
+    const teams = gameService.getTeams(req.params.id);
+    res.json(teams);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
   }
 });
 
+/**
+ * POST /api/games/:id/teams
+ * Créer une équipe
+ */
+router.post('/:id/teams', (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const team = gameService.createTeam(req.params.id, name);
+
+    res.status(201).json({
+      ...team,
+      message: 'Team created',
+    });
+  } catch (error) {
+    logger.error(`Create team error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/games/:id/teams/:teamId
+ * Supprimer une équipe
+ */
+router.delete('/:id/teams/:teamId', (req, res) => {
+  try {
+    gameService.deleteTeam(req.params.id, req.params.teamId);
+    res.json({ message: 'Team deleted' });
+  } catch (error) {
+    logger.error(`Delete team error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/games/:id/players/:buzzerID/team
+ * Affecter un joueur à une équipe (teamId null pour le retirer)
+ */
+router.put('/:id/players/:buzzerID/team', (req, res) => {
+  try {
+    const { teamId } = req.body;
+
+    if (teamId === undefined) {
+      return res.status(400).json({ error: 'teamId is required (null to unassign)' });
+    }
+
+    const team = gameService.assignPlayerToTeam(req.params.id, req.params.buzzerID, teamId);
+
+    res.json({
+      message: 'Player assigned',
+      buzzerID: req.params.buzzerID,
+      teamId: team ? team.id : null,
+    });
+  } catch (error) {
+    logger.error(`Assign team error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+// Colonnes qui donnent la bonne réponse d'une question
+const ANSWER_FIELDS = ['correct_answer', 'correct_answers', 'expected_answer', 'alternative_answers'];
+
 /**
  * GET /api/games/:id/current-question
- * Obtenir la question actuelle
+ * Obtenir la question actuelle (sans la bonne réponse tant qu'elle n'est pas révélée)
  */
 router.get('/:id/current-question', (req, res) => {
   try {
@@ -144,12 +317,57 @@ router.get('/:id/current-question', (req, res) => {
       return res.status(404).json({ error: 'No current question' });
     }
 
+    const { phase } = gameService.getGame(req.params.id);
+    if (phase !== PHASES.ANSWER_REVEAL && phase !== PHASES.ENDED) {
+      ANSWER_FIELDS.forEach((field) => {
+        delete question[field];
+      });
+    }
+
     res.json(question);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/games/:id/current-question/progress
+ * Réponses reçues, joueurs manquants, répartition par proposition, temps moyen
+ */
+router.get('/:id/current-question/progress', (req, res) => {
+  try {
+    res.json(gameService.getQuestionProgress(req.params.id));
+  } catch (error) {
+    logger.error(`Question progress error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/games/:id/current-question/start
+ * Démarrer la question actuelle (chrono, temps de réponse) sans passer par le WebSocket
+ */
+router.post('/:id/current-question/start', (req, res) => {
+  try {
+    const question = gameService.getCurrentQuestion(req.params.id);
+
+    if (!question) {
+      return res.status(404).json({ error: 'No current question' });
+    }
+
+    const timer = gameService.startQuestion(req.params.id, question.id, question.type);
+
+    res.json({
+      message: 'Question started',
+      questionId: question.id,
+      ...timer,
+    });
+  } catch (error) {
+    logger.error(`Start question error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/games/:id/answer
  * Enregistrer une réponse
@@ -171,16 +389,139 @@ router.post('/:id/answer', (req, res) => {
       answer,
       timestamps
     );
+
+    if (result.rejected) {
+      return res.status(409).json({ error: result.reason });
+    }
     
     res.json({
       message: 'Answer recorded',
       isCorrect: result.isCorrect,
       points: result.points,
       responseTime: result.responseTime,
+      resultId: result.resultId,
     });
   } catch (error) {
     logger.error(`Record answer error: ${error.message}`);
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/games/:id/results
+ * Lister les résultats enregistrés (?questionId= pour filtrer)
+ */
+router.get('/:id/results', (req, res) => {
+  try {
+    const questionId = req.query.questionId ? parseInt(req.query.questionId, 10) : null;
+    const results = gameService.getResults(req.params.id, questionId);
+    res.json(results);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/games/:id/results/:resultId
+ * Corriger un résultat (isCorrect et/ou points)
+ */
+router.put('/:id/results/:resultId', (req, res) => {
+  try {
+    const { isCorrect, points } = req.body;
+
+    if (isCorrect === undefined && points === undefined) {
+      return res.status(400).json({ error: 'isCorrect or points is required' });
+    }
+
+    if (points !== undefined && !Number.isInteger(points)) {
+      return res.status(400).json({ error: 'points must be an integer' });
+    }
+
+    const result = gameService.amendResult(
+      req.params.id,
+      parseInt(req.params.resultId, 10),
+      { isCorrect, points }
+    );
+
+    res.json({
+      message: 'Result amended',
+      ...result,
+    });
+  } catch (error) {
+    logger.error(`Amend result error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/games/:id/results/:resultId
+ * Annuler un résultat
+ */
+router.delete('/:id/results/:resultId', (req, res) => {
+  try {
+    const result = gameService.undoResult(req.params.id, parseInt(req.params.resultId, 10));
+
+    res.json({
+      message: 'Result undone',
+      ...result,
+    });
+  } catch (error) {
+    logger.error(`Undo result error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/games/:id/reveal
+ * Révéler la bonne réponse de la question en cours (la ferme si elle est encore ouverte)
+ */
+router.post('/:id/reveal', (req, res) => {
+  try {
+    const reveal = gameService.revealAnswer(req.params.id);
+    res.json(reveal);
+  } catch (error) {
+    logger.error(`Reveal answer error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/games/:id/reviews
+ * Réponses TEXT limites en attente de validation par l'animateur
+ */
+router.get('/:id/reviews', (req, res) => {
+  try {
+    res.json(gameService.getPendingReviews(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/games/:id/reviews/:resultId
+ * Accepter ou refuser une réponse limite ({ approved: true|false })
+ */
+router.post('/:id/reviews/:resultId', (req, res) => {
+  try {
+    const { approved } = req.body;
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ error: 'approved (boolean) is required' });
+    }
+
+    const result = gameService.resolveReview(
+      req.params.id,
+      parseInt(req.params.resultId, 10),
+      approved
+    );
+
+    res.json({
+      message: approved ? 'Answer approved' : 'Answer rejected',
+      ...result,
+    });
+  } catch (error) {
+    logger.error(`Review answer error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
   }
 });
 
@@ -205,7 +546,99 @@ router.post('/:id/next-question', (req, res) => {
     });
   } catch (error) {
     logger.error(`Next question error: ${error.message}`);
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/games/:id/skip-question
+ * Passer la question actuelle
+ */
+router.post('/:id/skip-question', (req, res) => {
+  try {
+    const result = gameService.skipQuestion(req.params.id);
+
+    if (result.status === 'ended') {
+      return res.json({
+        message: 'Game ended',
+        status: 'ended',
+      });
+    }
+
+    res.json({
+      message: 'Question skipped',
+      question: result,
+    });
+  } catch (error) {
+    logger.error(`Skip question error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/games/:id/previous-question
+ * Revenir à la question précédente ({ clearResults } pour effacer ses résultats)
+ */
+router.post('/:id/previous-question', (req, res) => {
+  try {
+    const { clearResults } = req.body || {};
+    const result = gameService.previousQuestion(req.params.id, { clearResults });
+
+    res.json({
+      message: 'Previous question',
+      question: result,
+    });
+  } catch (error) {
+    logger.error(`Previous question error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/games/:id/goto-question
+ * Aller à la question d'index donné ({ index, clearResults })
+ */
+router.post('/:id/goto-question', (req, res) => {
+  try {
+    const { index, clearResults } = req.body;
+
+    if (!Number.isInteger(index)) {
+      return res.status(400).json({ error: 'index (integer) is required' });
+    }
+
+    const result = gameService.goToQuestion(req.params.id, index, { clearResults });
+
+    res.json({
+      message: 'Moved to question',
+      question: result,
+    });
+  } catch (error) {
+    logger.error(`Goto question error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/games/:id/questions/order
+ * Réordonner les questions restantes ({ questionIds })
+ */
+router.put('/:id/questions/order', (req, res) => {
+  try {
+    const { questionIds } = req.body;
+
+    if (!Array.isArray(questionIds)) {
+      return res.status(400).json({ error: 'questionIds (array) is required' });
+    }
+
+    const result = gameService.reorderQuestions(req.params.id, questionIds);
+
+    res.json({
+      message: 'Questions reordered',
+      ...result,
+    });
+  } catch (error) {
+    logger.error(`Reorder questions error: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
   }
 });
 
@@ -222,6 +655,19 @@ router.get('/:id/ranking', (req, res) => {
   }
 });
 
+/**
+ * GET /api/games/:id/ranking/teams
+ * Obtenir le classement par équipe
+ */
+router.get('/:id/ranking/teams', (req, res) => {
+  try {
+    const ranking = gameService.getTeamRanking(req.params.id);
+    res.json(ranking);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/games/:id/stats
  * Obtenir les statistiques
@@ -235,6 +681,43 @@ router.get('/:id/stats', (req, res) => {
   }
 });
 
+/**
+ * GET /api/games/:id/events
+ * Journal des événements (?fromSeq=&toSeq=&types=BUZZ_RECEIVED,BUZZ_WINNER)
+ */
+router.get('/:id/events', (req, res) => {
+  try {
+    const events = eventLogService.getEvents(req.params.id, {
+      fromSeq: req.query.fromSeq ? parseInt(req.query.fromSeq, 10) : undefined,
+      toSeq: req.query.toSeq ? parseInt(req.query.toSeq, 10) : undefined,
+      types: req.query.types ? req.query.types.split(',') : null,
+    });
+    res.json(events);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/games/:id/replay/state
+ * Reconstruire l'état de la partie depuis son journal (?toSeq= pour un instant donné)
+ */
+router.get('/:id/replay/state', (req, res) => {
+  try {
+    const state = eventLogService.rebuildState(req.params.id, {
+      toSeq: req.query.toSeq ? parseInt(req.query.toSeq, 10) : undefined,
+    });
+
+    if (state.lastSeq === 0 && !req.query.toSeq) {
+      return res.status(404).json({ error: 'No events recorded for this game' });
+    }
+
+    res.json(state);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/games/:id/end
  * Terminer une partie
@@ -251,7 +734,7 @@ router.post('/:id/end', (req, res) => {
     });
   } catch (error) {
     logger.error(`End game error: ${error.message}`);
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 400).json({ error: error.message });
   }
 });
 
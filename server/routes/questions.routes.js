@@ -1,8 +1,66 @@
 const express = require('express');
 const router = express.Router();
+const config = require('../config');
 const databaseService = require('../services/database.service');
+const mediaService = require('../services/media.service');
+const { QUESTION_TYPES } = require('../services/question-types');
 const { authenticateJWT, optionalAuth } = require('../middleware/auth.middleware');
 
+/**
+ * Valider les champs propres au type de question (null si valide)
+ */
+function validateQuestion(body) {
+  const {
+    type, answers, correct_answer, correct_answers, expected_answer, alternative_answers,
+  } = body;
+
+  if (!QUESTION_TYPES.includes(type)) {
+    return `type must be one of ${QUESTION_TYPES.join(', ')}`;
+  }
+
+  if (alternative_answers !== undefined && alternative_answers !== null
+    && !(Array.isArray(alternative_answers) && alternative_answers.every(a => typeof a === 'string'))) {
+    return 'alternative_answers must be an array of strings';
+  }
+
+  if (type === 'TEXT' && !expected_answer) {
+    return 'expected_answer is required for TEXT questions';
+  }
+
+  if (type === 'TRUE_FALSE' && ![true, false, 0, 1].includes(correct_answer)) {
+    return 'correct_answer must be true/false (or 1/0) for TRUE_FALSE questions';
+  }
+
+  if (type === 'NUMERIC' && (expected_answer === undefined || expected_answer === null
+    || expected_answer === '' || !Number.isFinite(Number(expected_answer)))) {
+    return 'expected_answer must be a number for NUMERIC questions';
+  }
+
+  if ((type === 'ORDERING' || type === 'MULTI_SELECT')
+    && !(Array.isArray(answers) && answers.length >= 2 && answers.every(a => typeof a === 'string'))) {
+    return `answers must be an array of at least 2 strings for ${type} questions`;
+  }
+
+  if (type === 'MULTI_SELECT') {
+    const valid = Array.isArray(correct_answers)
+      && correct_answers.length > 0
+      && new Set(correct_answers).size === correct_answers.length
+      && correct_answers.every(i => Number.isInteger(i) && i >= 0 && i < answers.length);
+    if (!valid) {
+      return 'correct_answers must be a non-empty array of distinct answer indexes for MULTI_SELECT questions';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * correct_answer tel que stocké (TRUE_FALSE : true/false → 1/0)
+ */
+function toCorrectAnswer(value) {
+  return typeof value === 'boolean' ? Number(value) : value ?? null;
+}
+
 /**
  * GET /api/questions
  * Récupérer toutes les questions (pas besoin d'auth)
@@ -16,6 +74,12 @@ router.get('/', optionalAuth, (req, res) => {
       if (q.answers) {
         q.answers = JSON.parse(q.answers);
       }
+      if (q.alternative_answers) {
+        q.alternative_answers = JSON.parse(q.alternative_answers);
+      }
+      if (q.correct_answers) {
+        q.correct_answers = JSON.parse(q.correct_answers);
+      }
     });
 
     res.json(questions);
@@ -30,28 +94,37 @@ router.get('/', optionalAuth, (req, res) => {
  */
 router.post('/', authenticateJWT, (req, res) => {
   try {
-    const { text, type, answers, correct_answer, expected_answer, category, difficulty, points } = req.body;
+    const {
+      text, type, answers, correct_answer, correct_answers, expected_answer, alternative_answers,
+      category, difficulty, points,
+    } = req.body;
 
     if (!text || !type) {
       return res.status(400).json({ error: 'text and type are required' });
     }
 
-    if (!['MCQ', 'BUZZER'].includes(type)) {
-      return res.status(400).json({ error: 'type must be MCQ or BUZZER' });
+    const validationError = validateQuestion(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
     const db = databaseService.getDb();
     const stmt = db.prepare(`
-      INSERT INTO questions (text, type, answers, correct_answer, expected_answer, category, difficulty, points)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO questions (
+        text, type, answers, correct_answer, correct_answers, expected_answer,
+        alternative_answers, category, difficulty, points
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
       text,
       type,
       answers ? JSON.stringify(answers) : null,
-      correct_answer ?? null,
-      expected_answer ?? null,
+      toCorrectAnswer(correct_answer),
+      correct_answers ? JSON.stringify(correct_answers) : null,
+      expected_answer != null ? String(expected_answer) : null,
+      alternative_answers ? JSON.stringify(alternative_answers) : null,
       category || null,
       difficulty || 3,
       points || 10
@@ -72,21 +145,32 @@ router.post('/', authenticateJWT, (req, res) => {
  */
 router.put('/:id', authenticateJWT, (req, res) => {
   try {
-    const { text, type, answers, correct_answer, expected_answer, category, difficulty, points } = req.body;
+    const {
+      text, type, answers, correct_answer, correct_answers, expected_answer, alternative_answers,
+      category, difficulty, points,
+    } = req.body;
+
+    const validationError = validateQuestion(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
     const db = databaseService.getDb();
 
     const stmt = db.prepare(`
       UPDATE questions 
-      SET text = ?, type = ?, answers = ?, correct_answer = ?, expected_answer = ?,
-          category = ?, difficulty = ?, points = ?
+      SET text = ?, type = ?, answers = ?, correct_answer = ?, correct_answers = ?,
+          expected_answer = ?, alternative_answers = ?, category = ?, difficulty = ?, points = ?
       WHERE id = ?
     `);
 
     const result = stmt.run(
       text, type,
       answers ? JSON.stringify(answers) : null,
-      correct_answer ?? null,
-      expected_answer ?? null,
+      toCorrectAnswer(correct_answer),
+      correct_answers ? JSON.stringify(correct_answers) : null,
+      expected_answer != null ? String(expected_answer) : null,
+      alternative_answers ? JSON.stringify(alternative_answers) : null,
       category || null,
       difficulty || 3,
       points || 10,
@@ -110,14 +194,100 @@ router.put('/:id', authenticateJWT, (req, res) => {
 router.delete('/:id', authenticateJWT, (req, res) => {
   try {
     const db = databaseService.getDb();
-    const stmt = db.prepare('DELETE FROM questions WHERE id = ?');
-    const result = stmt.run(req.params.id);
+    const question = db.prepare('SELECT id FROM questions WHERE id = ?').get(req.params.id);
 
-    if (result.changes === 0) {
+    if (!question) {
       return res.status(404).json({ error: 'Question not found' });
     }
 
-    res.json({ message: 'Question deleted' });
+    // Supprimer les fichiers des médias avant la question
+    const mediaDeleted = mediaService.deleteQuestionMedia(question.id);
+    db.prepare('DELETE FROM questions WHERE id = ?').run(question.id);
+
+    res.json({ message: 'Question deleted', mediaDeleted });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════
+// MÉDIAS (images, extraits audio)
+// ═══════════════════════════════════════════════════
+
+/**
+ * GET /api/questions/:id/media
+ * Lister les médias d'une question
+ */
+router.get('/:id/media', optionalAuth, (req, res) => {
+  try {
+    res.json(mediaService.getMediaRefs(Number(req.params.id)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/questions/:id/media/:mediaId/file
+ * Télécharger le fichier d'un média
+ */
+router.get('/:id/media/:mediaId/file', optionalAuth, (req, res) => {
+  try {
+    const media = mediaService.getMedia(req.params.mediaId);
+    if (!media || media.question_id !== Number(req.params.id)) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.type(media.mime_type);
+    res.sendFile(mediaService.getFilePath(media), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: 'Media file not found' });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/questions/:id/media?name=intro.mp3&stream=true&duration=12000
+ * Ajouter un média (AUTH REQUISE) : corps brut, Content-Type image/* ou audio/*
+ * stream=true : l'extrait audio est aussi streamé aux buzzers à l'envoi de la question
+ */
+router.post(
+  '/:id/media',
+  authenticateJWT,
+  express.raw({ type: ['image/*', 'audio/*'], limit: config.media.maxSize }),
+  (req, res) => {
+    try {
+      const media = mediaService.saveMedia(
+        Number(req.params.id),
+        req.body,
+        req.get('content-type'),
+        {
+          originalName: req.query.name,
+          duration: parseInt(req.query.duration, 10) || null,
+          streamToBuzzers: req.query.stream === 'true',
+        }
+      );
+
+      res.status(201).json(media);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/questions/:id/media/:mediaId
+ * Supprimer un média (AUTH REQUISE)
+ */
+router.delete('/:id/media/:mediaId', authenticateJWT, (req, res) => {
+  try {
+    if (!mediaService.deleteMedia(req.params.id, Number(req.params.mediaId))) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.json({ message: 'Media deleted' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
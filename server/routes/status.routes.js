@@ -20,6 +20,10 @@ router.get('/', (req, res) => {
       .prepare('SELECT COUNT(*) as count FROM games')
       .get().count;
 
+    // Salles WebSocket (plusieurs parties simultanées)
+    const wss = req.app.locals.wss;
+    const rooms = wss ? wss.getRooms() : [];
+
     res.json({
       status: 'ok',
       version: '1.0.0',
@@ -30,6 +34,7 @@ router.get('/', (req, res) => {
         questions: questionsCount,
         games: gamesCount,
       },
+      rooms,
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,113 @@
+const answerGradingService = require('../answer-grading.service');
+
+const question = (expected, alternatives = null) => ({
+  id: 1,
+  expected_answer: expected,
+  alternative_answers: alternatives,
+});
+
+describe('answerGradingService', () => {
+  describe('normalize', () => {
+    it('ignore casse, accents, ponctuation et espaces superflus', () => {
+      expect(answerGradingService.normalize('  Léonard   de VINCI ! ')).toBe('leonard de vinci');
+      expect(answerGradingService.normalize('Aujourd’hui')).toBe('aujourd hui');
+    });
+
+    it('retire les articles en début de réponse', () => {
+      expect(answerGradingService.normalize('La Seine')).toBe('seine');
+      expect(answerGradingService.normalize("L'Everest")).toBe('everest');
+      expect(answerGradingService.normalize('The Beatles')).toBe('beatles');
+    });
+
+    it('garde un article seul et les articles sans ignoreArticles', () => {
+      expect(answerGradingService.normalize('La')).toBe('la');
+      expect(answerGradingService.normalize('La Seine', { ignoreArticles: false })).toBe('la seine');
+    });
+
+    it('accepte une réponse absente', () => {
+      expect(answerGradingService.normalize(null)).toBe('');
+      expect(answerGradingService.normalize(undefined)).toBe('');
+    });
+  });
+
+  describe('distance / similarity', () => {
+    it('calcule la distance de Levenshtein', () => {
+      expect(answerGradingService.distance('kitten', 'sitting')).toBe(3);
+      expect(answerGradingService.distance('', 'abc')).toBe(3);
+      expect(answerGradingService.distance('abc', 'abc')).toBe(0);
+    });
+
+    it('ramène la distance à une similarité entre 0 et 1', () => {
+      expect(answerGradingService.similarity('seine', 'seine')).toBe(1);
+      expect(answerGradingService.similarity('', '')).toBe(1);
+      expect(answerGradingService.similarity('seine', 'seime')).toBeCloseTo(0.8);
+    });
+
+    it('compare exactement les chaînes trop longues pour la distance', () => {
+      const long = 'a'.repeat(150);
+
+      expect(answerGradingService.similarity(long, long)).toBe(1);
+      expect(answerGradingService.similarity(long, `${long.slice(1)}b`)).toBe(0);
+    });
+  });
+
+  describe('getAcceptedAnswers', () => {
+    it('réunit expected_answer et alternative_answers (JSON)', () => {
+      expect(answerGradingService.getAcceptedAnswers(question('Paris', '["Lutèce", ""]')))
+        .toEqual(['Paris', 'Lutèce']);
+    });
+
+    it('accepte un tableau ou une chaîne non JSON', () => {
+      expect(answerGradingService.getAcceptedAnswers(question('Paris', ['Lutèce']))).toEqual(['Paris', 'Lutèce']);
+      expect(answerGradingService.getAcceptedAnswers(question(null, 'Lutèce'))).toEqual(['Lutèce']);
+    });
+  });
+
+  describe('grade', () => {
+    it('accepte la réponse attendue malgré accents, casse et article', () => {
+      expect(answerGradingService.grade('la seine', question('Seine'), {})).toEqual({
+        verdict: 'correct',
+        similarity: 1,
+        matched: 'Seine',
+      });
+    });
+
+    it('accepte une faute de frappe au-dessus de acceptSimilarity', () => {
+      const result = answerGradingService.grade('Leonar de Vinci', question('Léonard de Vinci'), {});
+
+      expect(result.verdict).toBe('correct');
+      expect(result.similarity).toBe(0.94);
+    });
+
+    it('soumet à l\'animateur une réponse entre les deux seuils', () => {
+      expect(answerGradingService.grade('Seime', question('Seine'), {}).verdict).toBe('review');
+    });
+
+    it('refuse une réponse trop éloignée ou vide', () => {
+      expect(answerGradingService.grade('Loire', question('Seine'), {}).verdict).toBe('incorrect');
+      expect(answerGradingService.grade('  ?! ', question('Seine'), {})).toEqual({
+        verdict: 'incorrect',
+        similarity: 0,
+        matched: null,
+      });
+    });
+
+    it('retient la meilleure des réponses acceptées', () => {
+      const result = answerGradingService.grade('Lutece', question('Paris', '["Lutèce"]'), {});
+
+      expect(result).toEqual({ verdict: 'correct', similarity: 1, matched: 'Lutèce' });
+    });
+
+    it('envoie en revue une question sans réponse attendue', () => {
+      expect(answerGradingService.grade('Seine', question(null), {}).verdict).toBe('review');
+    });
+
+    it('applique les seuils de settings.textGrading', () => {
+      const settings = { textGrading: { acceptSimilarity: 1, reviewSimilarity: 0.9 } };
+
+      expect(answerGradingService.grade('Leonar de Vinci', question('Léonard de Vinci'), settings).verdict)
+        .toBe('review');
+      expect(answerGradingService.grade('Seime', question('Seine'), settings).verdict).toBe('incorrect');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  PHASES,
+  GameStateError,
+  statusForPhase,
+  phaseForStatus,
+  canTransition,
+  assertPhase,
+  transition,
+} = require('../game-state');
+
+const newGame = (phase = PHASES.LOBBY) => ({ phase, status: statusForPhase(phase), phaseBeforePause: null });
+
+describe('game-state', () => {
+  describe('transition', () => {
+    it('suit le cycle d\'une question au buzzer', () => {
+      const game = newGame();
+
+      expect(transition(game, 'start')).toBe(PHASES.LOBBY);
+      expect(game.phase).toBe(PHASES.BETWEEN_QUESTIONS);
+      expect(game.status).toBe('started');
+
+      transition(game, 'openQuestion');
+      expect(game.phase).toBe(PHASES.QUESTION_OPEN);
+
+      transition(game, 'lockBuzz');
+      expect(game.phase).toBe(PHASES.BUZZ_LOCKED);
+
+      // Mauvaise réponse : la question est rouverte aux autres joueurs
+      transition(game, 'reopenBuzz');
+      expect(game.phase).toBe(PHASES.QUESTION_OPEN);
+
+      transition(game, 'lockBuzz');
+      transition(game, 'resolveBuzz');
+      expect(game.phase).toBe(PHASES.ANSWER_REVEAL);
+
+      transition(game, 'changeQuestion');
+      expect(game.phase).toBe(PHASES.BETWEEN_QUESTIONS);
+    });
+
+    it('ferme une question ouverte (chrono, réponses complètes, révélation)', () => {
+      const game = newGame(PHASES.QUESTION_OPEN);
+
+      transition(game, 'closeQuestion');
+      expect(game.phase).toBe(PHASES.ANSWER_REVEAL);
+    });
+
+    it('refuse de fermer une question buzz-locked', () => {
+      const game = newGame(PHASES.BUZZ_LOCKED);
+
+      expect(() => transition(game, 'closeQuestion')).toThrow(GameStateError);
+      expect(game.phase).toBe(PHASES.BUZZ_LOCKED);
+    });
+
+    it('autorise la réouverture d\'une question depuis answer-reveal', () => {
+      const game = newGame(PHASES.ANSWER_REVEAL);
+
+      transition(game, 'openQuestion');
+      expect(game.phase).toBe(PHASES.QUESTION_OPEN);
+    });
+
+    it('revient à la phase d\'avant la pause', () => {
+      const game = newGame(PHASES.BUZZ_LOCKED);
+
+      transition(game, 'pause');
+      expect(game.phase).toBe(PHASES.PAUSED);
+      expect(game.status).toBe('paused');
+      expect(game.phaseBeforePause).toBe(PHASES.BUZZ_LOCKED);
+
+      transition(game, 'resume');
+      expect(game.phase).toBe(PHASES.BUZZ_LOCKED);
+      expect(game.status).toBe('started');
+      expect(game.phaseBeforePause).toBeNull();
+    });
+
+    it('reprend entre deux questions sans phase mémorisée', () => {
+      const game = newGame(PHASES.PAUSED);
+
+      transition(game, 'resume');
+      expect(game.phase).toBe(PHASES.BETWEEN_QUESTIONS);
+    });
+
+    it('interdit de mettre en pause une partie pas encore démarrée', () => {
+      expect(() => transition(newGame(PHASES.LOBBY), 'pause')).toThrow(GameStateError);
+    });
+
+    it('termine une partie depuis le lobby, une phase de jeu ou la pause', () => {
+      [PHASES.LOBBY, PHASES.QUESTION_OPEN, PHASES.PAUSED].forEach((phase) => {
+        const game = newGame(phase);
+
+        transition(game, 'end');
+        expect(game.phase).toBe(PHASES.ENDED);
+        expect(game.status).toBe('ended');
+      });
+    });
+
+    it('bloque toute action sur une partie terminée', () => {
+      const game = newGame(PHASES.ENDED);
+
+      ['start', 'openQuestion', 'changeQuestion', 'pause', 'end'].forEach((action) => {
+        expect(() => transition(game, action)).toThrow(GameStateError);
+      });
+      expect(game.phase).toBe(PHASES.ENDED);
+    });
+
+    it('rejette une action inconnue', () => {
+      expect(() => transition(newGame(), 'explode')).toThrow('Unknown game action: explode');
+    });
+  });
+
+  describe('assertPhase', () => {
+    it('lève une GameStateError (HTTP 409) hors des phases autorisées', () => {
+      const game = newGame(PHASES.BETWEEN_QUESTIONS);
+
+      expect(() => assertPhase(game, [PHASES.QUESTION_OPEN], 'buzz')).toThrow(
+        'Cannot buzz while game is in phase "between-questions" (allowed: question-open)'
+      );
+      expect(() => assertPhase(game, [PHASES.QUESTION_OPEN], 'buzz')).toThrow(GameStateError);
+      expect(new GameStateError('x').statusCode).toBe(409);
+    });
+
+    it('accepte une phase autorisée', () => {
+      expect(() => assertPhase(newGame(PHASES.QUESTION_OPEN), [PHASES.QUESTION_OPEN], 'buzz')).not.toThrow();
+    });
+  });
+
+  describe('canTransition', () => {
+    it('indique si une action est possible sans modifier la partie', () => {
+      const game = newGame(PHASES.BUZZ_LOCKED);
+
+      expect(canTransition(game, 'resolveBuzz')).toBe(true);
+      expect(canTransition(game, 'closeQuestion')).toBe(false);
+      expect(game.phase).toBe(PHASES.BUZZ_LOCKED);
+    });
+  });
+
+  describe('statusForPhase / phaseForStatus', () => {
+    it('associe les phases aux statuts persistés', () => {
+      expect(statusForPhase(PHASES.LOBBY)).toBe('created');
+      expect(statusForPhase(PHASES.ANSWER_REVEAL)).toBe('started');
+      expect(statusForPhase(PHASES.PAUSED)).toBe('paused');
+      expect(statusForPhase(PHASES.ENDED)).toBe('ended');
+    });
+
+    it('restaure une phase par défaut pour les parties sauvegardées sans phase', () => {
+      expect(phaseForStatus('created')).toBe(PHASES.LOBBY);
+      expect(phaseForStatus('started')).toBe(PHASES.BETWEEN_QUESTIONS);
+      expect(phaseForStatus('paused')).toBe(PHASES.PAUSED);
+      expect(phaseForStatus('ended')).toBe(PHASES.ENDED);
+    });
+  });
+});
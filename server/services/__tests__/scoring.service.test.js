@@ -0,0 +1,105 @@
+const scoringService = require('../scoring.service');
+
+const answer = (context = {}) => ({
+  basePoints: 100,
+  isCorrect: true,
+  isBuzz: false,
+  responseTime: 0,
+  duration: 10000,
+  streak: 0,
+  isFirstCorrect: false,
+  ...context,
+});
+
+const points = (scoring, context) => scoringService.computePoints({ scoring }, answer(context));
+
+describe('scoringService.computePoints', () => {
+  describe('stratégie fixed (par défaut)', () => {
+    it('donne les points de la question quel que soit le temps de réponse', () => {
+      expect(scoringService.computePoints({}, answer({ responseTime: 9000 }))).toBe(100);
+    });
+
+    it('ne donne rien pour une mauvaise réponse', () => {
+      expect(points({}, { isCorrect: false })).toBe(0);
+    });
+  });
+
+  describe('pénalité de mauvais buzz', () => {
+    it('retire wrongBuzzPenalty pour une mauvaise réponse au buzzer', () => {
+      expect(points({ wrongBuzzPenalty: 5 }, { isCorrect: false, isBuzz: true })).toBe(-5);
+      expect(points({ wrongBuzzPenalty: -5 }, { isCorrect: false, isBuzz: true })).toBe(-5);
+    });
+
+    it('ne pénalise pas une mauvaise réponse hors buzzer', () => {
+      expect(points({ wrongBuzzPenalty: 5 }, { isCorrect: false })).toBe(0);
+    });
+  });
+
+  describe('stratégies à décroissance', () => {
+    it('linear-decay : points proportionnels au temps restant', () => {
+      expect(points({ strategy: 'linear-decay' }, { responseTime: 0 })).toBe(100);
+      expect(points({ strategy: 'linear-decay' }, { responseTime: 5000 })).toBe(50);
+    });
+
+    it('linear-decay : plancher minPointsRatio', () => {
+      expect(points({ strategy: 'linear-decay' }, { responseTime: 10000 })).toBe(25);
+      expect(points({ strategy: 'linear-decay', minPointsRatio: 0.5 }, { responseTime: 9000 })).toBe(50);
+    });
+
+    it('exponential-decay : décroissance selon decayRate, avec plancher', () => {
+      expect(points({ strategy: 'exponential-decay' }, { responseTime: 0 })).toBe(100);
+      expect(points({ strategy: 'exponential-decay', decayRate: 1 }, { responseTime: 5000 }))
+        .toBe(Math.round(100 * Math.exp(-0.5)));
+      expect(points({ strategy: 'exponential-decay' }, { responseTime: 10000 })).toBe(25);
+    });
+
+    it('borne le temps de réponse à la durée de la question', () => {
+      expect(points({ strategy: 'linear-decay', minPointsRatio: 0 }, { responseTime: 20000 })).toBe(0);
+      expect(points({ strategy: 'linear-decay' }, { responseTime: -500 })).toBe(100);
+    });
+
+    it('donne tous les points sans durée connue', () => {
+      expect(points({ strategy: 'linear-decay' }, { responseTime: 5000, duration: 0 })).toBe(100);
+    });
+  });
+
+  describe('bonus', () => {
+    it('multiplie les points selon la série en cours, plafonnée à maxStreakMultiplier', () => {
+      expect(points({ streakBonus: 0.1 }, { streak: 3 })).toBe(130);
+      expect(points({ streakBonus: 0.1 }, { streak: 20 })).toBe(200);
+      expect(points({ streakBonus: 0.1, maxStreakMultiplier: 1.5 }, { streak: 20 })).toBe(150);
+    });
+
+    it('ajoute firstCorrectBonus à la première bonne réponse d\'un QCM seulement', () => {
+      expect(points({ firstCorrectBonus: 5 }, { isFirstCorrect: true })).toBe(105);
+      expect(points({ firstCorrectBonus: 5 }, { isFirstCorrect: false })).toBe(100);
+      expect(points({ firstCorrectBonus: 5 }, { isFirstCorrect: true, isBuzz: true })).toBe(100);
+    });
+  });
+
+  describe('crédit partiel (ORDERING, MULTI_SELECT)', () => {
+    it('donne une fraction des points même si la réponse n\'est pas entièrement juste', () => {
+      expect(points({}, { isCorrect: false, credit: 0.5 })).toBe(50);
+    });
+
+    it('n\'applique pas le bonus de série à une réponse partielle', () => {
+      expect(points({ streakBonus: 0.5 }, { isCorrect: false, credit: 0.5, streak: 2 })).toBe(50);
+    });
+
+    it('ne donne rien sans crédit', () => {
+      expect(points({}, { isCorrect: false, credit: 0 })).toBe(0);
+    });
+  });
+
+  describe('stratégies', () => {
+    it('utilise fixed pour une stratégie inconnue', () => {
+      expect(points({ strategy: 'unknown' }, { responseTime: 9000 })).toBe(100);
+    });
+
+    it('accepte une stratégie enregistrée', () => {
+      scoringService.registerStrategy('half', basePoints => basePoints / 2);
+
+      expect(points({ strategy: 'half' })).toBe(50);
+    });
+  });
+});
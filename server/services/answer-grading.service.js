@@ -0,0 +1,151 @@
+const logger = require('../utils/logger');
+
+/**
+ * Réglages par défaut (surchargés par settings.textGrading de la partie)
+ */
+const DEFAULT_TEXT_GRADING = {
+  acceptSimilarity: 0.85, // similarité à partir de laquelle la réponse est acceptée
+  reviewSimilarity: 0.6,  // entre les deux seuils : soumise à l'animateur
+  ignoreArticles: true,   // "la Seine" = "Seine"
+};
+
+// Au-delà de cette longueur (réponse normalisée), comparaison exacte seulement :
+// la distance de Levenshtein coûte longueur × longueur
+const MAX_FUZZY_LENGTH = 100;
+
+// Articles retirés en début de réponse (français et anglais)
+const ARTICLES = ['le', 'la', 'les', 'l', 'un', 'une', 'des', 'du', 'de', 'd', 'the', 'a', 'an'];
+
+class AnswerGradingService {
+  /**
+   * Fusionner les réglages de la partie avec les valeurs par défaut
+   */
+  getOptions(settings = {}) {
+    return { ...DEFAULT_TEXT_GRADING, ...(settings.textGrading || {}) };
+  }
+
+  /**
+   * Normaliser une réponse : casse, accents, ponctuation, articles, espaces
+   */
+  normalize(text, options = DEFAULT_TEXT_GRADING) {
+    let normalized = String(text ?? '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/['\u2019`]/g, ' ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+
+    if (options.ignoreArticles) {
+      const words = normalized.split(' ');
+      while (words.length > 1 && ARTICLES.includes(words[0])) {
+        words.shift();
+      }
+      normalized = words.join(' ');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Distance de Levenshtein (insertions, suppressions, substitutions)
+   */
+  distance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Similarité entre deux réponses normalisées (1 = identiques)
+   */
+  similarity(a, b) {
+    const maxLength = Math.max(a.length, b.length);
+    if (maxLength > MAX_FUZZY_LENGTH) {
+      return a === b ? 1 : 0;
+    }
+    return maxLength === 0 ? 1 : 1 - this.distance(a, b) / maxLength;
+  }
+
+  /**
+   * Réponses acceptées d'une question : expected_answer + alternative_answers (tableau JSON)
+   */
+  getAcceptedAnswers(question) {
+    const accepted = [];
+
+    if (question.expected_answer) {
+      accepted.push(question.expected_answer);
+    }
+
+    let alternatives = question.alternative_answers;
+    if (typeof alternatives === 'string') {
+      try {
+        alternatives = JSON.parse(alternatives);
+      } catch (e) {
+        alternatives = [alternatives];
+      }
+    }
+    if (Array.isArray(alternatives)) {
+      accepted.push(...alternatives.filter(Boolean));
+    }
+
+    return accepted;
+  }
+
+  /**
+   * ⭐ Corriger une réponse libre
+   * Retourne { verdict: 'correct' | 'review' | 'incorrect', similarity, matched }
+   */
+  grade(answer, question, settings) {
+    const options = this.getOptions(settings);
+    const accepted = this.getAcceptedAnswers(question);
+
+    if (accepted.length === 0) {
+      logger.warn(`TEXT question ${question.id} has no expected_answer, sending to review`);
+      return { verdict: 'review', similarity: 0, matched: null };
+    }
+
+    const given = this.normalize(answer, options);
+    if (!given) {
+      return { verdict: 'incorrect', similarity: 0, matched: null };
+    }
+
+    // Meilleure correspondance parmi les réponses acceptées
+    let best = { similarity: -1, matched: null };
+    accepted.forEach((candidate) => {
+      const similarity = this.similarity(given, this.normalize(candidate, options));
+      if (similarity > best.similarity) {
+        best = { similarity, matched: candidate };
+      }
+    });
+
+    let verdict = 'incorrect';
+    if (best.similarity >= options.acceptSimilarity) {
+      verdict = 'correct';
+    } else if (best.similarity >= options.reviewSimilarity) {
+      verdict = 'review';
+    }
+
+    return {
+      verdict,
+      similarity: Math.round(best.similarity * 100) / 100,
+      matched: best.matched,
+    };
+  }
+}
+
+// Singleton
+const answerGradingService = new AnswerGradingService();
+
+module.exports = answerGradingService;
@@ -216,24 +216,6 @@ class AuthService {
 
     return { token, user };
   }
-
-  /**
-   * Authentification simple (pour développement, sans Windows Hello)
-   */
-  simpleAuth(username) {
-    const db = databaseService.getDb();
-    let user = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
-
-    if (!user) {
-      const result = db.prepare('INSERT INTO users (username) VALUES (?)').run(username);
-      user = { id: result.lastInsertRowid, username };
-    }
-
-    const token = this.generateJWT(user.id, user.username);
-    
-    logger.info(`Simple auth for ${username}`);
-    return { token, user };
-  }
 }
 
 // Singleton
@@ -2,6 +2,7 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const config = require('../config');
+const { QUESTION_TYPES } = require('./question-types');
 const logger = require('../utils/logger');
 
 class DatabaseService {
@@ -58,20 +59,7 @@ class DatabaseService {
       `);
 
       // Table questions
-      this.db.exec(`
-        CREATE TABLE IF NOT EXISTS questions (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          text TEXT NOT NULL,
-          type TEXT CHECK(type IN ('MCQ', 'BUZZER')) NOT NULL,
-          answers TEXT,
-          correct_answer INTEGER,
-          expected_answer TEXT,
-          category TEXT,
-          difficulty INTEGER CHECK(difficulty BETWEEN 1 AND 5),
-          points INTEGER DEFAULT 10,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
+      this.db.exec(this.getQuestionsTableSql('questions'));
 
       // Table games
       this.db.exec(`
@@ -80,6 +68,7 @@ class DatabaseService {
           name TEXT NOT NULL,
           status TEXT CHECK(status IN ('created', 'started', 'paused', 'ended')) DEFAULT 'created',
           settings TEXT,
+          state TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           started_at DATETIME,
           ended_at DATETIME
@@ -119,6 +108,52 @@ class DatabaseService {
         )
       `);
 
+      // Table score_adjustments (bonus / pénalités manuels de l'animateur)
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS score_adjustments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          game_id TEXT NOT NULL,
+          buzzer_id TEXT NOT NULL,
+          amount INTEGER NOT NULL,
+          reason TEXT NOT NULL,
+          created_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Table game_events (journal de tous les événements d'une partie, pour le replay)
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS game_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          game_id TEXT NOT NULL,
+          seq INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          source TEXT NOT NULL,
+          payload TEXT,
+          timestamp INTEGER NOT NULL,
+          FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+          UNIQUE (game_id, seq)
+        )
+      `);
+
+      // Table question_media (images et extraits audio des questions)
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS question_media (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          question_id INTEGER NOT NULL,
+          kind TEXT CHECK(kind IN ('image', 'audio')) NOT NULL,
+          mime_type TEXT NOT NULL,
+          file_name TEXT NOT NULL,
+          original_name TEXT,
+          size INTEGER,
+          duration INTEGER,
+          stream_to_buzzers INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+        )
+      `);
+
       // Table jingles
       this.db.exec(`
         CREATE TABLE IF NOT EXISTS jingles (
@@ -135,8 +170,11 @@ class DatabaseService {
       this.db.exec(`
         CREATE INDEX IF NOT EXISTS idx_game_results_game ON game_results(game_id);
         CREATE INDEX IF NOT EXISTS idx_game_results_buzzer ON game_results(buzzer_id);
+        CREATE INDEX IF NOT EXISTS idx_score_adjustments_game ON score_adjustments(game_id);
+        CREATE INDEX IF NOT EXISTS idx_game_events_game ON game_events(game_id, seq);
         CREATE INDEX IF NOT EXISTS idx_questions_type ON questions(type);
         CREATE INDEX IF NOT EXISTS idx_questions_category ON questions(category);
+        CREATE INDEX IF NOT EXISTS idx_question_media_question ON question_media(question_id);
       `);
 
       logger.info('Database schema ready');
@@ -152,6 +190,53 @@ class DatabaseService {
         }
       }
 
+      // Migration : réponses alternatives acceptées pour les questions TEXT (tableau JSON)
+      try {
+        this.db.exec(`ALTER TABLE questions ADD COLUMN alternative_answers TEXT`);
+        logger.info('Migration: added questions.alternative_answers column');
+      } catch (e) {
+        if (!e.message.includes('duplicate column name') && !e.message.includes('already has column')) {
+          logger.error(`Migration failed: ${e.message}`);
+          throw e;
+        }
+      }
+
+      // Migration : bonnes réponses multiples des questions MULTI_SELECT (tableau JSON d'index)
+      try {
+        this.db.exec(`ALTER TABLE questions ADD COLUMN correct_answers TEXT`);
+        logger.info('Migration: added questions.correct_answers column');
+      } catch (e) {
+        if (!e.message.includes('duplicate column name') && !e.message.includes('already has column')) {
+          logger.error(`Migration failed: ${e.message}`);
+          throw e;
+        }
+      }
+
+      // Migration : marquer les faux départs (buzz avant le début de la question)
+      try {
+        this.db.exec(`ALTER TABLE game_results ADD COLUMN false_start INTEGER DEFAULT 0`);
+        logger.info('Migration: added game_results.false_start column');
+      } catch (e) {
+        if (!e.message.includes('duplicate column name') && !e.message.includes('already has column')) {
+          logger.error(`Migration failed: ${e.message}`);
+          throw e;
+        }
+      }
+
+      // Migration : étendre la contrainte CHECK de questions.type aux nouveaux types
+      this.migrateQuestionTypes();
+
+      // Migration : ajouter games.state (état en mémoire pour reprise après redémarrage)
+      try {
+        this.db.exec(`ALTER TABLE games ADD COLUMN state TEXT`);
+        logger.info('Migration: added games.state column');
+      } catch (e) {
+        if (!e.message.includes('duplicate column name') && !e.message.includes('already has column')) {
+          logger.error(`Migration failed: ${e.message}`);
+          throw e;
+        }
+      }
+
       // Migration : créer la table jingles si elle n'existe pas déjà
       try {
         this.db.exec(`
@@ -177,6 +262,66 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Schéma de la table questions (la contrainte CHECK suit QUESTION_TYPES)
+   */
+  getQuestionsTableSql(tableName) {
+    const types = QUESTION_TYPES.map(t => `'${t}'`).join(', ');
+
+    return `
+      CREATE TABLE IF NOT EXISTS ${tableName} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        text TEXT NOT NULL,
+        type TEXT CHECK(type IN (${types})) NOT NULL,
+        answers TEXT,
+        correct_answer INTEGER,
+        correct_answers TEXT,
+        expected_answer TEXT,
+        alternative_answers TEXT,
+        category TEXT,
+        difficulty INTEGER CHECK(difficulty BETWEEN 1 AND 5),
+        points INTEGER DEFAULT 10,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+  }
+
+  /**
+   * Reconstruire la table questions si sa contrainte CHECK ne couvre pas tous les types
+   * (SQLite ne permet pas de modifier une contrainte existante)
+   */
+  migrateQuestionTypes() {
+    const { sql } = this.db
+      .prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'questions'`)
+      .get();
+
+    const missing = QUESTION_TYPES.filter(t => !sql.includes(`'${t}'`));
+    if (missing.length === 0) return;
+
+    const columns = [
+      'id', 'text', 'type', 'answers', 'correct_answer', 'correct_answers', 'expected_answer',
+      'alternative_answers', 'category', 'difficulty', 'points', 'created_at',
+    ].join(', ');
+
+    this.db.pragma('foreign_keys = OFF');
+    try {
+      this.db.transaction(() => {
+        this.db.exec(this.getQuestionsTableSql('questions_new'));
+        this.db.exec(`INSERT INTO questions_new (${columns}) SELECT ${columns} FROM questions`);
+        this.db.exec('DROP TABLE questions');
+        this.db.exec('ALTER TABLE questions_new RENAME TO questions');
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_questions_type ON questions(type)');
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_questions_category ON questions(category)');
+      })();
+      logger.info(`Migration: questions.type now accepts ${missing.join(', ')}`);
+    } catch (e) {
+      logger.error(`Migration questions.type failed: ${e.message}`);
+      throw e;
+    } finally {
+      this.db.pragma('foreign_keys = ON');
+    }
+  }
+
   /**
    * Insérer des données de démonstration
    */
@@ -0,0 +1,395 @@
+const databaseService = require('./database.service');
+const { PHASES } = require('./game-state');
+const logger = require('../utils/logger');
+
+/**
+ * Journal des événements d'une partie (table game_events)
+ *
+ * Chaque action de GameService (source 'game') et du serveur WebSocket (source 'websocket')
+ * y est ajoutée avec un numéro de séquence par partie. Le journal permet de reconstruire
+ * l'état d'une partie ou de la rejouer (vue "replay" Angular) à vitesse réelle ou accélérée.
+ */
+class EventLogService {
+  constructor() {
+    this.sequences = new Map(); // gameID → dernier numéro de séquence
+    this.replays = new Map(); // replayID → { gameId, timer }
+    this.nextReplayId = 1;
+  }
+
+  /**
+   * ⭐ Ajouter un événement au journal d'une partie
+   */
+  record(gameId, type, payload = {}, source = 'game') {
+    if (!gameId) return null;
+
+    try {
+      const db = databaseService.getDb();
+      const seq = this.nextSeq(gameId);
+      const timestamp = Date.now();
+
+      db.prepare(`
+        INSERT INTO game_events (game_id, seq, type, source, payload, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(gameId, seq, type, source, JSON.stringify(payload), timestamp);
+
+      this.sequences.set(gameId, seq);
+      logger.debug(`[Events] ${gameId} #${seq} ${type} (${source})`);
+
+      return { seq, type, source, payload, timestamp };
+    } catch (err) {
+      // Le journal ne doit jamais bloquer le jeu
+      this.sequences.delete(gameId);
+      logger.error(`Error recording event ${type} for game ${gameId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Prochain numéro de séquence (repris depuis la BDD après un redémarrage)
+   */
+  nextSeq(gameId) {
+    if (!this.sequences.has(gameId)) {
+      const row = databaseService.getDb().prepare(`
+        SELECT COALESCE(MAX(seq), 0) as last FROM game_events WHERE game_id = ?
+      `).get(gameId);
+      this.sequences.set(gameId, row.last);
+    }
+    return this.sequences.get(gameId) + 1;
+  }
+
+  /**
+   * Lire le journal d'une partie
+   * options = { fromSeq, toSeq, types: ['BUZZ_RECEIVED', ...] }
+   */
+  getEvents(gameId, options = {}) {
+    const db = databaseService.getDb();
+    const fromSeq = options.fromSeq || 0;
+    const toSeq = options.toSeq ?? Number.MAX_SAFE_INTEGER;
+
+    let events = db.prepare(`
+      SELECT seq, type, source, payload, timestamp
+      FROM game_events
+      WHERE game_id = ? AND seq >= ? AND seq <= ?
+      ORDER BY seq
+    `).all(gameId, fromSeq, toSeq);
+
+    if (options.types && options.types.length > 0) {
+      events = events.filter(e => options.types.includes(e.type));
+    }
+
+    return events.map(e => ({
+      ...e,
+      payload: e.payload ? JSON.parse(e.payload) : {},
+    }));
+  }
+
+  /**
+   * ⭐ Reconstruire l'état d'une partie en rejouant son journal (jusqu'à toSeq)
+   */
+  rebuildState(gameId, options = {}) {
+    const state = {
+      gameId,
+      name: null,
+      phase: null,
+      phaseBeforePause: null,
+      settings: {},
+      questionIds: [],
+      currentQuestionIndex: -1,
+      currentQuestion: null,
+      players: {},
+      teams: {},
+      results: {}, // resultID → { questionId, buzzerID, isCorrect, points }
+      adjustments: [],
+      lastSeq: 0,
+      lastTimestamp: null,
+    };
+
+    this.getEvents(gameId, { toSeq: options.toSeq }).forEach((event) => {
+      this.applyEvent(state, event);
+    });
+
+    return this.summarizeState(state);
+  }
+
+  /**
+   * Appliquer un événement à un état reconstruit
+   */
+  applyEvent(state, event) {
+    const p = event.payload;
+    state.lastSeq = event.seq;
+    state.lastTimestamp = event.timestamp;
+
+    switch (event.type) {
+      case 'GAME_CREATED':
+        state.name = p.name;
+        state.settings = p.settings || {};
+        state.questionIds = p.questionIds || [];
+        state.phase = PHASES.LOBBY;
+        break;
+
+      case 'GAME_STARTED':
+        state.currentQuestionIndex = 0;
+        state.phase = PHASES.BETWEEN_QUESTIONS;
+        break;
+
+      case 'GAME_PAUSED':
+        state.phaseBeforePause = state.phase;
+        state.phase = PHASES.PAUSED;
+        break;
+
+      case 'GAME_RESUMED':
+        state.phase = state.phaseBeforePause || PHASES.BETWEEN_QUESTIONS;
+        state.phaseBeforePause = null;
+        break;
+
+      case 'GAME_ENDED':
+        state.currentQuestion = null;
+        state.phase = PHASES.ENDED;
+        break;
+
+      case 'PLAYER_REGISTERED':
+        state.players[p.buzzerID] = { buzzerID: p.buzzerID, name: p.name, teamId: null };
+        break;
+
+      case 'PLAYER_RENAMED':
+        if (state.players[p.buzzerID]) {
+          state.players[p.buzzerID].name = p.name;
+        }
+        break;
+
+      case 'TEAM_CREATED':
+        state.teams[p.teamId] = { id: p.teamId, name: p.name };
+        break;
+
+      case 'TEAM_DELETED':
+        delete state.teams[p.teamId];
+        Object.values(state.players).forEach((player) => {
+          if (player.teamId === p.teamId) player.teamId = null;
+        });
+        break;
+
+      case 'TEAM_ASSIGNED':
+        if (state.players[p.buzzerID]) {
+          state.players[p.buzzerID].teamId = p.teamId;
+        }
+        break;
+
+      case 'QUESTION_STARTED':
+        state.currentQuestion = {
+          questionId: p.questionId,
+          questionType: p.questionType,
+          deadline: p.deadline,
+          buzzes: [],
+          winner: null,
+          excluded: [],
+        };
+        state.phase = PHASES.QUESTION_OPEN;
+        break;
+
+      case 'BUZZ_RECEIVED':
+        if (state.currentQuestion && !p.ignored) {
+          state.currentQuestion.buzzes.push({ buzzerID: p.buzzerID, responseTime: p.responseTime });
+        }
+        break;
+
+      case 'BUZZ_WINNER':
+        if (state.currentQuestion) {
+          state.currentQuestion.winner = p.buzzerID;
+        }
+        state.phase = PHASES.BUZZ_LOCKED;
+        break;
+
+      case 'PLAYER_EXCLUDED':
+        if (state.currentQuestion) {
+          state.currentQuestion.winner = null;
+          state.currentQuestion.excluded = p.excludedPlayers || [];
+        }
+        if (state.phase === PHASES.BUZZ_LOCKED) {
+          state.phase = PHASES.QUESTION_OPEN;
+        }
+        break;
+
+      case 'ANSWER_RECORDED':
+      case 'BUZZ_VALIDATED':
+        if (p.resultId) {
+          state.results[p.resultId] = {
+            questionId: p.questionId,
+            buzzerID: p.buzzerID,
+            isCorrect: p.isCorrect,
+            points: p.points,
+          };
+        }
+        if (event.type === 'BUZZ_VALIDATED' && p.isCorrect && state.phase === PHASES.BUZZ_LOCKED) {
+          state.phase = PHASES.ANSWER_REVEAL;
+        }
+        break;
+
+      case 'QUESTION_GRADED':
+        // NUMERIC : correction des estimations à la fermeture de la question
+        (p.ranking || []).forEach((r) => {
+          if (state.results[r.resultId]) {
+            state.results[r.resultId].isCorrect = r.isCorrect;
+            state.results[r.resultId].points = r.points;
+          }
+        });
+        break;
+
+      case 'QUESTION_CLOSED':
+        state.phase = PHASES.ANSWER_REVEAL;
+        break;
+
+      case 'QUESTION_CHANGED':
+        state.currentQuestionIndex = p.questionIndex;
+        state.currentQuestion = null;
+        if (p.resultsCleared) {
+          Object.keys(state.results).forEach((id) => {
+            if (state.results[id].questionId === p.questionId) delete state.results[id];
+          });
+        }
+        state.phase = PHASES.BETWEEN_QUESTIONS;
+        break;
+
+      case 'QUESTIONS_REORDERED':
+        state.questionIds = p.questionIds;
+        break;
+
+      case 'RESULT_AMENDED':
+        if (state.results[p.resultId]) {
+          state.results[p.resultId].isCorrect = p.isCorrect;
+          state.results[p.resultId].points = p.points;
+        }
+        break;
+
+      case 'RESULT_UNDONE':
+        delete state.results[p.resultId];
+        break;
+
+      case 'SCORE_ADJUSTED':
+        state.adjustments.push({ buzzerID: p.buzzerID, amount: p.amount, reason: p.reason });
+        break;
+
+      default:
+        // Événements purement informatifs (envois, jingles, connexions…)
+        break;
+    }
+
+    return state;
+  }
+
+  /**
+   * Calculer scores et classement à partir de l'état reconstruit
+   */
+  summarizeState(state) {
+    const players = Object.values(state.players).map(player => ({
+      ...player,
+      score: 0,
+      correctAnswers: 0,
+      adjustmentPoints: 0,
+    }));
+    const byId = new Map(players.map(player => [player.buzzerID, player]));
+
+    Object.values(state.results).forEach((r) => {
+      const player = byId.get(r.buzzerID);
+      if (!player) return;
+      player.score += r.points || 0;
+      if (r.isCorrect) player.correctAnswers += 1;
+    });
+
+    state.adjustments.forEach((a) => {
+      const player = byId.get(a.buzzerID);
+      if (!player) return;
+      player.adjustmentPoints += a.amount;
+      player.score += a.amount;
+    });
+
+    const ranking = players
+      .slice()
+      .sort((a, b) => b.score - a.score)
+      .map((player, index) => ({ rank: index + 1, ...player }));
+
+    return {
+      gameId: state.gameId,
+      name: state.name,
+      phase: state.phase,
+      settings: state.settings,
+      questionIds: state.questionIds,
+      currentQuestionIndex: state.currentQuestionIndex,
+      currentQuestion: state.currentQuestion,
+      teams: Object.values(state.teams),
+      ranking,
+      lastSeq: state.lastSeq,
+      lastTimestamp: state.lastTimestamp,
+    };
+  }
+
+  /**
+   * ⭐ Rejouer le journal d'une partie en respectant les écarts de temps d'origine
+   * options = { speed (1 = temps réel, 4 = 4x plus vite), fromSeq, toSeq, maxDelay (ms) }
+   * onEvent(event) est appelé pour chaque événement, onEnd(info) à la fin ou à l'arrêt.
+   */
+  startReplay(gameId, options, onEvent, onEnd) {
+    const speed = options.speed > 0 ? options.speed : 1;
+    const events = this.getEvents(gameId, options);
+    const replayId = `replay_${this.nextReplayId++}`;
+    const replay = { id: replayId, gameId, speed, timer: null, index: 0, onEnd };
+
+    this.replays.set(replayId, replay);
+
+    const scheduleNext = () => {
+      if (replay.index >= events.length) {
+        replay.timer = setTimeout(() => this.finishReplay(replayId, false), 0);
+        return;
+      }
+
+      const event = events[replay.index];
+      const previous = events[replay.index - 1];
+      let delay = previous ? (event.timestamp - previous.timestamp) / speed : 0;
+      if (options.maxDelay) {
+        delay = Math.min(delay, options.maxDelay);
+      }
+
+      replay.timer = setTimeout(() => {
+        replay.index++;
+        onEvent(event);
+        scheduleNext();
+      }, Math.max(0, delay));
+    };
+
+    logger.info(`[Events] Replay ${replayId} of ${gameId}: ${events.length} events at x${speed}`);
+    scheduleNext();
+
+    return { replayId, gameId, speed, totalEvents: events.length };
+  }
+
+  /**
+   * Arrêter un replay en cours
+   */
+  stopReplay(replayId) {
+    return this.finishReplay(replayId, true);
+  }
+
+  /**
+   * Arrêter tous les replays (arrêt du serveur)
+   */
+  stopAllReplays() {
+    Array.from(this.replays.keys()).forEach(id => this.finishReplay(id, true));
+  }
+
+  finishReplay(replayId, stopped) {
+    const replay = this.replays.get(replayId);
+    if (!replay) return false;
+
+    clearTimeout(replay.timer);
+    this.replays.delete(replayId);
+
+    if (replay.onEnd) {
+      replay.onEnd({ replayId, gameId: replay.gameId, stopped, eventsSent: replay.index });
+    }
+    return true;
+  }
+}
+
+// Singleton
+const eventLogService = new EventLogService();
+
+module.exports = eventLogService;
@@ -0,0 +1,138 @@
+/**
+ * Machine à états d'une partie
+ *
+ * lobby → between-questions → question-open ⇄ buzz-locked → answer-reveal → between-questions …
+ * Toute phase de jeu peut passer en pause (puis revenir à la phase d'origine) ou se terminer.
+ */
+const PHASES = {
+  LOBBY: 'lobby',
+  QUESTION_OPEN: 'question-open',
+  BUZZ_LOCKED: 'buzz-locked',
+  ANSWER_REVEAL: 'answer-reveal',
+  BETWEEN_QUESTIONS: 'between-questions',
+  PAUSED: 'paused',
+  ENDED: 'ended',
+};
+
+const IN_GAME = [
+  PHASES.BETWEEN_QUESTIONS,
+  PHASES.QUESTION_OPEN,
+  PHASES.BUZZ_LOCKED,
+  PHASES.ANSWER_REVEAL,
+];
+
+// action → phases de départ autorisées et phase d'arrivée
+const TRANSITIONS = {
+  start: { from: [PHASES.LOBBY], to: PHASES.BETWEEN_QUESTIONS },
+  openQuestion: {
+    from: [PHASES.BETWEEN_QUESTIONS, PHASES.QUESTION_OPEN, PHASES.ANSWER_REVEAL],
+    to: PHASES.QUESTION_OPEN,
+  },
+  lockBuzz: { from: [PHASES.QUESTION_OPEN], to: PHASES.BUZZ_LOCKED },
+  reopenBuzz: { from: [PHASES.BUZZ_LOCKED], to: PHASES.QUESTION_OPEN },
+  // Une question buzz-locked ne se ferme qu'en validant le gagnant (resolveBuzz) :
+  // le chrono est suspendu pendant sa réponse
+  closeQuestion: { from: [PHASES.QUESTION_OPEN], to: PHASES.ANSWER_REVEAL },
+  resolveBuzz: { from: [PHASES.BUZZ_LOCKED], to: PHASES.ANSWER_REVEAL },
+  changeQuestion: { from: IN_GAME, to: PHASES.BETWEEN_QUESTIONS },
+  pause: { from: IN_GAME, to: PHASES.PAUSED },
+  resume: { from: [PHASES.PAUSED], to: null }, // retour à la phase d'avant la pause
+  end: { from: [PHASES.LOBBY, ...IN_GAME, PHASES.PAUSED], to: PHASES.ENDED },
+};
+
+/**
+ * Erreur levée pour une action interdite dans la phase courante (HTTP 409)
+ */
+class GameStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GameStateError';
+    this.statusCode = 409;
+  }
+}
+
+/**
+ * Statut persisté dans games.status pour une phase
+ */
+function statusForPhase(phase) {
+  switch (phase) {
+    case PHASES.LOBBY:
+      return 'created';
+    case PHASES.PAUSED:
+      return 'paused';
+    case PHASES.ENDED:
+      return 'ended';
+    default:
+      return 'started';
+  }
+}
+
+/**
+ * Phase par défaut pour un statut (parties sauvegardées sans phase)
+ */
+function phaseForStatus(status) {
+  switch (status) {
+    case 'created':
+      return PHASES.LOBBY;
+    case 'paused':
+      return PHASES.PAUSED;
+    case 'ended':
+      return PHASES.ENDED;
+    default:
+      return PHASES.BETWEEN_QUESTIONS;
+  }
+}
+
+function canTransition(game, action) {
+  return TRANSITIONS[action].from.includes(game.phase);
+}
+
+/**
+ * Vérifier que la partie est dans l'une des phases autorisées
+ */
+function assertPhase(game, allowedPhases, action) {
+  if (!allowedPhases.includes(game.phase)) {
+    throw new GameStateError(
+      `Cannot ${action} while game is in phase "${game.phase}" ` +
+      `(allowed: ${allowedPhases.join(', ')})`
+    );
+  }
+}
+
+/**
+ * ⭐ Appliquer une transition (met à jour game.phase et game.status)
+ */
+function transition(game, action) {
+  const rule = TRANSITIONS[action];
+  if (!rule) {
+    throw new Error(`Unknown game action: ${action}`);
+  }
+
+  assertPhase(game, rule.from, action);
+
+  const from = game.phase;
+  if (action === 'pause') {
+    game.phaseBeforePause = from;
+  }
+
+  const to = rule.to || game.phaseBeforePause || PHASES.BETWEEN_QUESTIONS;
+  game.phase = to;
+  game.status = statusForPhase(to);
+
+  if (action === 'resume') {
+    game.phaseBeforePause = null;
+  }
+
+  return from;
+}
+
+module.exports = {
+  PHASES,
+  TRANSITIONS,
+  GameStateError,
+  statusForPhase,
+  phaseForStatus,
+  canTransition,
+  assertPhase,
+  transition,
+};
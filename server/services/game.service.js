@@ -1,7 +1,29 @@
 const { v4: uuidv4 } = require('uuid');
 const databaseService = require('./database.service');
+const scoringService = require('./scoring.service');
+const rankingService = require('./ranking.service');
+const answerGradingService = require('./answer-grading.service');
+const eventLogService = require('./event-log.service');
+const gameState = require('./game-state');
+
+const { PHASES } = gameState;
+const config = require('../config');
 const logger = require('../utils/logger');
 
+// Longueur maximale d'une réponse libre (TEXT)
+const MAX_TEXT_ANSWER_LENGTH = 200;
+
+/**
+ * Réponse mal formée pour le type de question (HTTP 400)
+ */
+class AnswerValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnswerValidationError';
+    this.statusCode = 400;
+  }
+}
+
 class GameService {
   constructor() {
     this.activeGames = new Map(); // gameID → gameState
@@ -15,10 +37,23 @@ class GameService {
     const db = databaseService.getDb();
 
     const defaultSettings = {
-      mcqDuration: 30000,
-      buzzerDuration: 10000,
-      showCorrectAnswer: true,
-      showIntermediateRanking: true,
+      mcqDuration: config.game.mcqDuration,
+      buzzerDuration: config.game.buzzerDuration,
+      showCorrectAnswer: true, // bonne réponse envoyée aux buzzers et écrans à la révélation
+      autoReveal: true, // révéler la réponse dès la fermeture de la question (sinon sur ordre de l'animateur)
+      showIntermediateRanking: true, // rang et score personnels envoyés aux buzzers après chaque question
+      teamScoring: 'sum', // 'sum' | 'best' | 'first-correct'
+      excludeTeammates: false,
+      scoring: { strategy: 'fixed' }, // voir scoring.service.js
+      autoEnrollBuzzers: false, // inscrire automatiquement les buzzers connectés
+      autoPlay: false, // mode spectacle : le serveur enchaîne seul les questions
+      revealDelay: config.game.revealDelay, // affichage des résultats avant la question suivante (ms)
+      buzzWindow: config.game.buzzWindow, // fenêtre de collecte des buzzes quasi-simultanés (ms)
+      buzzQueue: false, // après une mauvaise réponse, la main passe au suivant dans l'ordre des buzzes
+      falseStartLockout: 'question', // faux départ : joueur bloqué toute la question ('question') ou x ms
+      falseStartTolerance: 0, // avance tolérée (ms) avant de compter un faux départ (imprécision de synchro)
+      answerDuration: config.game.answerDuration, // temps de réponse du gagnant d'un buzz (ms, 0 = illimité)
+      tickInterval: config.game.tickInterval, // intervalle des décomptes envoyés aux clients (ms)
       ...settings,
     };
 
@@ -44,16 +79,21 @@ class GameService {
       id: gameId,
       name,
       status: 'created',
+      phase: PHASES.LOBBY,
       settings: defaultSettings,
       questionIds,
       currentQuestionIndex: -1,
       questionStartTime: null,
       players: new Map(),
+      teams: new Map(), // teamID → { id, name }
       // Tracker les réponses par question
       currentQuestionAnswers: new Map(), // buzzerID → true (a répondu)
+      pendingReviews: new Map(), // resultID → réponse TEXT à valider par l'animateur
     };
 
     this.activeGames.set(gameId, gameState);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'GAME_CREATED', { name, questionIds, settings: defaultSettings });
 
     logger.info(`Game created: ${gameId} with ${questionIds.length} questions`);
     return gameState;
@@ -65,11 +105,7 @@ class GameService {
   startGame(gameId) {
     const game = this.getGame(gameId);
 
-    if (game.status !== 'created') {
-      throw new Error('Game already started');
-    }
-
-    game.status = 'started';
+    gameState.transition(game, 'start');
     game.currentQuestionIndex = 0;
     game.startedAt = Date.now();
 
@@ -79,11 +115,147 @@ class GameService {
       SET status = 'started', started_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `).run(gameId);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'GAME_STARTED');
 
     logger.info(`Game started: ${gameId}`);
+
+    // Démarrage REST ou WebSocket : inscription des buzzers déjà connectés (autoEnrollBuzzers)
+    if (this.onGameStarted) {
+      this.onGameStarted(gameId);
+    }
+    this.scheduleAutoPlay(gameId, 0);
     return game;
   }
 
+  /**
+   * ⭐ Mettre une partie en pause (buzzers verrouillés, chronos figés)
+   */
+  pauseGame(gameId) {
+    const game = this.getGame(gameId);
+
+    gameState.transition(game, 'pause');
+
+    const now = Date.now();
+    game.pausedAt = now;
+
+    // Figer le chrono de la question en cours
+    if (game.questionOpen && game.questionDeadline) {
+      this.clearQuestionTimer(game);
+      game.pausedRemaining = Math.max(0, game.questionDeadline - now);
+    } else {
+      game.pausedRemaining = null;
+    }
+
+    // Figer le temps de réponse du gagnant d'un buzz
+    if (game.answerDeadline) {
+      this.clearAnswerTimer(game);
+      game.answerPausedRemaining = Math.max(0, game.answerDeadline - now);
+    }
+
+    // Suspendre l'évaluation des buzzes en cours de collecte
+    if (game.buzzEvaluationTimer) {
+      clearTimeout(game.buzzEvaluationTimer);
+      game.buzzEvaluationTimer = null;
+    }
+    this.clearAutoPlayTimer(game);
+
+    const db = databaseService.getDb();
+    db.prepare(`UPDATE games SET status = 'paused' WHERE id = ?`).run(gameId);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'GAME_PAUSED', { remainingTime: game.pausedRemaining });
+
+    logger.info(`Game paused: ${gameId}`);
+
+    const result = {
+      id: gameId,
+      status: game.status,
+      phase: game.phase,
+      pausedAt: game.pausedAt,
+      remainingTime: game.pausedRemaining,
+    };
+
+    // Notifier via le callback (sera appelé par le WebSocket server)
+    if (this.onGamePaused) {
+      this.onGamePaused(gameId, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * ⭐ Reprendre une partie en pause dans l'état exact où elle a été laissée
+   */
+  resumeGame(gameId) {
+    const game = this.getGame(gameId);
+
+    gameState.transition(game, 'resume');
+
+    const now = Date.now();
+    const pausedDuration = now - (game.pausedAt || now);
+    game.pausedAt = null;
+
+    // Décaler l'origine des temps de réponse de la durée de la pause
+    if (game.questionStartTime) {
+      game.questionStartTime += pausedDuration;
+    }
+
+    // Relancer le chrono avec le temps restant
+    if (game.questionOpen && game.pausedRemaining !== null && game.pausedRemaining !== undefined) {
+      game.questionDeadline = now + game.pausedRemaining;
+      this.armQuestionTimer(gameId, game.pausedRemaining);
+    }
+    game.pausedRemaining = null;
+
+    if (game.answerPausedRemaining !== null && game.answerPausedRemaining !== undefined) {
+      game.answerDeadline = now + game.answerPausedRemaining;
+      this.armAnswerTimer(gameId, game.answerPausedRemaining);
+    }
+    game.answerPausedRemaining = null;
+
+    const db = databaseService.getDb();
+    db.prepare(`UPDATE games SET status = 'started' WHERE id = ?`).run(gameId);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'GAME_RESUMED', { pausedDuration });
+
+    logger.info(`Game resumed: ${gameId} (paused ${pausedDuration}ms)`);
+
+    const result = {
+      id: gameId,
+      status: game.status,
+      phase: game.phase,
+      questionId: game.questionOpen ? game.timedQuestionId : null,
+      remainingTime: game.questionOpen && game.questionDeadline
+        ? Math.max(0, game.questionDeadline - now)
+        : game.questionRemaining ?? null, // chrono suspendu (buzz en attente)
+      deadline: game.questionOpen ? game.questionDeadline : null,
+      buzzerLocked: !!game.buzzerLocked,
+      winnerID: game.currentQuestionWinner || null,
+      answerDeadline: game.answerDeadline || null,
+      excludedPlayers: game.currentQuestionExcluded
+        ? Array.from(game.currentQuestionExcluded)
+        : [],
+    };
+
+    // Notifier via le callback (sera appelé par le WebSocket server)
+    if (this.onGameResumed) {
+      this.onGameResumed(gameId, result);
+    }
+
+    // Évaluer les buzzes collectés juste avant la pause
+    const pendingBuzz = game.currentQuestionBuzzes
+      ? game.currentQuestionBuzzes.find(b => !b.processed)
+      : null;
+    if (pendingBuzz) {
+      this.evaluateBuzzes(gameId, pendingBuzz.questionId);
+    }
+
+    // Mode automatique : reprendre l'enchaînement là où il s'est arrêté
+    this.scheduleAutoPlay(gameId, this.getAutoPlayDelay(game));
+
+    return result;
+  }
+
   /**
    * Enregistrer un joueur dans la partie
    */
@@ -99,11 +271,42 @@ class GameService {
       totalResponseTime: 0,
       fastestResponseTime: Infinity,
       slowestResponseTime: 0,
+      streak: 0,
+      adjustmentPoints: 0,
+      teamId: null,
     });
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'PLAYER_REGISTERED', { buzzerID, name: playerName });
 
     logger.info(`Player registered: ${playerName} (${buzzerID}) in game ${gameId}`);
   }
 
+  /**
+   * ⭐ Inscrire un buzzer s'il n'est pas déjà joueur (sans réinitialiser son score)
+   */
+  enrollPlayer(gameId, buzzerID, playerName) {
+    const game = this.getGame(gameId);
+
+    if (game.players.has(buzzerID)) {
+      return { player: game.players.get(buzzerID), created: false };
+    }
+
+    this.registerPlayer(gameId, buzzerID, playerName);
+    return { player: game.players.get(buzzerID), created: true };
+  }
+
+  /**
+   * ⭐ Inscription automatique d'un buzzer connecté (settings.autoEnrollBuzzers)
+   * Au démarrage de la partie et à chaque connexion de buzzer ; null si la partie ne l'inscrit pas
+   */
+  autoEnrollPlayer(gameId, buzzerID, playerName) {
+    const game = this.activeGames.get(gameId);
+    if (!game || !game.settings.autoEnrollBuzzers || game.phase === PHASES.ENDED) {
+      return null;
+    }
+    return this.enrollPlayer(gameId, buzzerID, playerName);
+  }
+
   /**
    * Renommer un joueur
    */
@@ -116,7 +319,93 @@ class GameService {
     }
 
     player.name = newName;
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'PLAYER_RENAMED', { buzzerID, name: newName });
     logger.info(`Player renamed: ${buzzerID} → ${newName}`);
+
+    // Notifier via le callback (nom affiché sur le buzzer)
+    if (this.onPlayerRenamed) {
+      this.onPlayerRenamed(gameId, buzzerID, newName);
+    }
+  }
+
+  /**
+   * ⭐ Créer une équipe dans la partie
+   */
+  createTeam(gameId, teamName) {
+    const game = this.getGame(gameId);
+
+    const team = {
+      id: 'team_' + uuidv4(),
+      name: teamName,
+    };
+
+    game.teams.set(team.id, team);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'TEAM_CREATED', { teamId: team.id, name: teamName });
+
+    logger.info(`Team created: ${teamName} (${team.id}) in game ${gameId}`);
+    return team;
+  }
+
+  /**
+   * Supprimer une équipe (ses membres redeviennent sans équipe)
+   */
+  deleteTeam(gameId, teamId) {
+    const game = this.getGame(gameId);
+
+    if (!game.teams.has(teamId)) {
+      throw new Error('Team not found');
+    }
+
+    game.teams.delete(teamId);
+    game.players.forEach((player) => {
+      if (player.teamId === teamId) {
+        player.teamId = null;
+      }
+    });
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'TEAM_DELETED', { teamId });
+
+    logger.info(`Team deleted: ${teamId} in game ${gameId}`);
+  }
+
+  /**
+   * Affecter un joueur à une équipe (teamId = null pour le retirer)
+   */
+  assignPlayerToTeam(gameId, buzzerID, teamId) {
+    const game = this.getGame(gameId);
+    const player = game.players.get(buzzerID);
+
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    if (teamId && !game.teams.has(teamId)) {
+      throw new Error('Team not found');
+    }
+
+    player.teamId = teamId || null;
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'TEAM_ASSIGNED', { buzzerID, teamId: player.teamId });
+
+    logger.info(`Player ${buzzerID} assigned to team ${teamId || '(none)'}`);
+    return teamId ? game.teams.get(teamId) : null;
+  }
+
+  /**
+   * Lister les équipes d'une partie avec leurs membres
+   */
+  getTeams(gameId) {
+    const game = this.getGame(gameId);
+
+    return Array.from(game.teams.values()).map(team => ({
+      id: team.id,
+      name: team.name,
+      members: Array.from(game.players.values())
+        .filter(p => p.teamId === team.id)
+        .map(p => p.buzzerID),
+    }));
   }
 
   getCurrentQuestion(gameId) {
@@ -133,24 +422,146 @@ class GameService {
   if (question && question.answers) {
     try {
       question.answers = JSON.parse(question.answers);
-    } catch (e) {}
+    } catch (e) {
+      // Propositions non JSON : renvoyées telles quelles
+    }
   }
 
-  // Marquer le moment où la question est envoyée
-  game.questionStartTime = Date.now();
-  game.currentQuestionAnswers = new Map();
-
-  // ⭐ Réinitialiser le tracking des buzzes
-  game.currentQuestionBuzzes = [];
-  game.currentQuestionExcluded = new Set();
-  game.currentQuestionWinner = null;
-  game.buzzerLocked = false;
-  game.buzzEvaluationTimer = null;
-
-  logger.info(`Question ${questionId} started at ${game.questionStartTime}`);
+  // Lecture seule : l'état de la question est initialisé par startQuestion()
   return question;
 }
 
+  /**
+   * ⭐ Démarrer une question (envoi aux buzzers) : chrono, temps de réponse, buzzes
+   */
+  startQuestion(gameId, questionId, questionType) {
+    const game = this.getGame(gameId);
+    gameState.transition(game, 'openQuestion');
+
+    // Marquer le moment où la question est envoyée
+    game.questionStartTime = Date.now();
+
+    // ⭐ Réinitialiser le tracking des buzzes
+    // (sauf les blocages des faux départs commis avant l'ouverture de cette question)
+    const earlyLockouts = game.falseStartQuestionId === questionId ? game.falseStartLockouts : null;
+    this.resetBuzzState(game);
+    if (earlyLockouts) {
+      game.falseStartLockouts = earlyLockouts;
+    }
+
+    // Les réponses déjà enregistrées (question revisitée) restent acquises ;
+    // les joueurs restés "sans réponse" peuvent répondre cette fois
+    this.clearNoAnswers(game, questionId);
+    game.currentQuestionAnswers = this.loadQuestionAnswers(game, questionId);
+
+    logger.info(`Question ${questionId} started at ${game.questionStartTime}`);
+    const timer = this.startQuestionTimer(gameId, questionId, questionType);
+
+    this.logEvent(gameId, 'QUESTION_STARTED', {
+      questionId,
+      questionType,
+      questionIndex: game.currentQuestionIndex,
+      duration: timer.duration,
+      deadline: timer.deadline,
+    });
+    return timer;
+  }
+
+  /**
+   * Réinitialiser le tracking des buzzes de la question en cours
+   */
+  resetBuzzState(game) {
+    if (game.buzzEvaluationTimer) {
+      clearTimeout(game.buzzEvaluationTimer);
+    }
+    this.clearAnswerTimer(game);
+    game.answerDeadline = null;
+    game.currentQuestionBuzzes = [];
+    game.currentQuestionExcluded = new Set();
+    game.falseStartLockouts = new Map();
+    game.falseStartQuestionId = null;
+    game.questionRemaining = null;
+    game.buzzOrder = [];
+    game.currentQuestionWinner = null;
+    game.buzzerLocked = false;
+    game.buzzEvaluationTimer = null;
+  }
+
+  /**
+   * Réinitialiser tout l'état par question (changement de question)
+   */
+  resetQuestionState(game) {
+    // Estimation encore ouverte quittée par l'animateur : classer les réponses reçues
+    if (game.questionOpen && game.timedQuestionType === 'NUMERIC') {
+      this.finalizeNumericQuestion(game, game.timedQuestionId);
+    }
+    const openQuestionId = game.questionOpen ? game.timedQuestionId : null;
+
+    this.clearQuestionTimer(game);
+    this.resetBuzzState(game);
+    game.questionStartTime = null;
+    game.questionOpen = false;
+    game.questionClosed = false;
+    game.currentQuestionAnswers = new Map();
+
+    if (openQuestionId !== null) {
+      this.notifyQuestionClosed(game, openQuestionId, 'question-changed');
+    }
+  }
+
+  /**
+   * Le joueur a-t-il déjà une bonne réponse enregistrée pour cette question ?
+   */
+  hasCorrectResult(game, questionId, buzzerID) {
+    const row = databaseService.getDb().prepare(`
+      SELECT 1 FROM game_results
+      WHERE game_id = ? AND question_id = ? AND buzzer_id = ? AND is_correct = 1
+      LIMIT 1
+    `).get(game.id, questionId, buzzerID);
+    return !!row;
+  }
+
+  /**
+   * Supprimer les lignes "sans réponse" d'une question rouverte
+   * (sinon un joueur qui répond enfin aurait deux lignes pour la même question)
+   * Les faux départs sont conservés.
+   */
+  clearNoAnswers(game, questionId) {
+    const info = databaseService.getDb().prepare(`
+      DELETE FROM game_results
+      WHERE game_id = ? AND question_id = ? AND response_time IS NULL AND COALESCE(false_start, 0) = 0
+    `).run(game.id, questionId);
+
+    if (info.changes > 0) {
+      logger.info(`Question ${questionId} reopened: ${info.changes} no-answer result(s) removed`);
+    }
+    return info.changes;
+  }
+
+  /**
+   * Reconstruire les réponses d'une question depuis game_results
+   */
+  loadQuestionAnswers(game, questionId) {
+    const db = databaseService.getDb();
+    const rows = db.prepare(`
+      SELECT * FROM game_results
+      WHERE game_id = ? AND question_id = ? AND response_time IS NOT NULL
+      ORDER BY id
+    `).all(game.id, questionId);
+
+    const answers = new Map();
+    rows.forEach((r) => {
+      answers.set(r.buzzer_id, {
+        answer: r.answer,
+        isCorrect: !!r.is_correct,
+        points: r.points,
+        responseTime: r.response_time,
+        timestamp: r.timestamp_synced_action,
+      });
+    });
+    return answers;
+  }
+
   /**
    * ⭐ Enregistrer une réponse avec calcul de temps précis
    */
@@ -158,6 +569,21 @@ class GameService {
     const game = this.getGame(gameId);
     const db = databaseService.getDb();
 
+    // Refuser les réponses pendant une pause
+    if (game.phase === PHASES.PAUSED) {
+      logger.warn(`${buzzerID} answered question ${questionId} while game is paused, ignoring`);
+      return { isCorrect: false, points: 0, responseTime: 0, rejected: true, reason: 'Partie en pause' };
+    }
+
+    // Refuser les réponses arrivées après la fermeture de la question
+    if (game.phase === PHASES.ANSWER_REVEAL) {
+      logger.warn(`${buzzerID} answered question ${questionId} after it was closed, ignoring`);
+      const reason = game.questionClosed ? 'Temps écoulé' : 'Question fermée';
+      return { isCorrect: false, points: 0, responseTime: 0, rejected: true, reason };
+    }
+
+    gameState.assertPhase(game, [PHASES.QUESTION_OPEN], 'record an answer');
+
     // Vérifier que le joueur n'a pas déjà répondu à cette question
     if (game.currentQuestionAnswers.has(buzzerID)) {
       logger.warn(`${buzzerID} already answered question ${questionId}, ignoring`);
@@ -170,16 +596,10 @@ class GameService {
       throw new Error('Question not found');
     }
 
-    // Déterminer si la réponse est correcte
-    let isCorrect = false;
-    if (question.type === 'MCQ') {
-      isCorrect = (answer === question.correct_answer);
-    } else if (question.type === 'BUZZER') {
-      // Pour les questions buzzer, le premier à appuyer gagne
-      isCorrect = (game.currentQuestionAnswers.size === 0);
-    }
-
-    const points = isCorrect ? (question.points || 10) : 0;
+    // Déterminer si la réponse est correcte (selon le type de question)
+    answer = this.parseAnswer(question, answer);
+    const grade = this.gradeAnswer(game, question, answer);
+    const { isCorrect, grading } = grade;
 
     // ⭐ Calculer le temps de réponse
     // Méthode 1 : Utiliser le timestamp synchronisé du buzzer
@@ -198,6 +618,20 @@ class GameService {
     if (responseTime < 0) responseTime = 0;
     if (responseTime > 120000) responseTime = 120000; // Max 2 minutes
 
+    // ⭐ Calculer les points selon la stratégie de la partie
+    const player = game.players.get(buzzerID);
+    // (NUMERIC : points attribués à la fermeture de la question, voir finalizeNumericQuestion)
+    const points = grade.deferred ? 0 : scoringService.computePoints(game.settings, {
+      basePoints: question.points || 10,
+      isCorrect,
+      isBuzz: false,
+      responseTime,
+      duration: this.getQuestionDuration(game, question.type),
+      streak: player ? player.streak || 0 : 0,
+      isFirstCorrect: isCorrect && !Array.from(game.currentQuestionAnswers.values()).some(a => a.isCorrect),
+      credit: grade.credit,
+    });
+
     // Marquer que ce buzzer a répondu
     game.currentQuestionAnswers.set(buzzerID, {
       answer,
@@ -208,8 +642,9 @@ class GameService {
     });
 
     // Enregistrer dans la BDD
+    let resultId = null;
     try {
-      db.prepare(`
+      const info = db.prepare(`
         INSERT INTO game_results (
           game_id, question_id, buzzer_id, answer, is_correct,
           response_time, timestamp_local_action, timestamp_synced_action,
@@ -219,7 +654,7 @@ class GameService {
         gameId,
         questionId,
         buzzerID,
-        typeof answer === 'number' ? answer : JSON.stringify(answer),
+        this.serializeAnswer(question, answer),
         isCorrect ? 1 : 0,
         responseTime,
         timestamps ? timestamps.timestamp_local_action : null,
@@ -227,18 +662,19 @@ class GameService {
         timestamps ? timestamps.calibrated_latency : null,
         points
       );
+      resultId = info.lastInsertRowid;
     } catch (err) {
       logger.error(`Error saving result to DB: ${err.message}`);
     }
 
     // ⭐ Mettre à jour le score du joueur
-    const player = game.players.get(buzzerID);
     if (player) {
       player.score += points;
       player.totalAnswers += 1;
       if (isCorrect) {
         player.correctAnswers += 1;
       }
+      player.streak = isCorrect ? (player.streak || 0) + 1 : 0;
       player.totalResponseTime += responseTime;
 
       if (responseTime < player.fastestResponseTime) {
@@ -248,6 +684,32 @@ class GameService {
         player.slowestResponseTime = responseTime;
       }
     }
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'ANSWER_RECORDED', {
+      questionId,
+      buzzerID,
+      answer,
+      isCorrect,
+      points,
+      responseTime,
+      resultId,
+      timestamps: timestamps || null,
+      grading,
+    });
+
+    // Cas limite : la réponse est enregistrée comme fausse en attendant l'animateur
+    const pendingReview = !!(grading && grading.verdict === 'review' && resultId);
+    if (pendingReview) {
+      this.requestReview(game, {
+        resultId,
+        questionId,
+        buzzerID,
+        answer,
+        expected: answerGradingService.getAcceptedAnswers(question),
+        similarity: grading.similarity,
+        matched: grading.matched,
+      });
+    }
 
     logger.info(
       `[${buzzerID}] answered question ${questionId}: ` +
@@ -255,124 +717,1687 @@ class GameService {
       `+${points} pts, ${responseTime}ms`
     );
 
-    return { isCorrect, points, responseTime };
+    // Compteur de réponses pour l'animateur (+ ALL_PLAYERS_ANSWERED)
+    this.notifyQuestionProgress(game, questionId);
+
+    return {
+      isCorrect,
+      points,
+      responseTime,
+      resultId,
+      pendingReview,
+      grading,
+      credit: grade.credit,
+      deferred: !!grade.deferred,
+    };
   }
 
   /**
-   * Passer à la question suivante
+   * ⭐ Corriger une réponse selon le type de question
+   * Retourne { isCorrect, credit?, grading?, deferred? }
    */
-  nextQuestion(gameId) {
-    const game = this.getGame(gameId);
+  gradeAnswer(game, question, answer) {
+    switch (question.type) {
+      case 'MCQ':
+        return { isCorrect: answer === question.correct_answer };
+
+      case 'TRUE_FALSE':
+        // Réponse déjà ramenée à true / false par parseAnswer
+        return { isCorrect: Number(answer) === question.correct_answer };
+
+      case 'TEXT': {
+        // Réponse libre : comparaison tolérante avec expected_answer / alternative_answers
+        const grading = answerGradingService.grade(answer, question, game.settings);
+        return { isCorrect: grading.verdict === 'correct', grading };
+      }
 
-    game.currentQuestionIndex++;
-    game.questionStartTime = null;
-    game.currentQuestionAnswers = new Map();
+      case 'NUMERIC':
+        // L'estimation la plus proche n'est connue qu'à la fermeture de la question
+        return { isCorrect: false, deferred: true };
 
-    if (game.currentQuestionIndex >= game.questionIds.length) {
-      return this.endGame(gameId);
+      case 'ORDERING':
+        return this.gradeOrdering(question, answer);
+
+      case 'MULTI_SELECT':
+        return this.gradeMultiSelect(question, answer);
+
+      case 'BUZZER':
+        // Pour les questions buzzer, le premier à appuyer gagne
+        return { isCorrect: game.currentQuestionAnswers.size === 0 };
+
+      default:
+        return { isCorrect: false };
     }
+  }
 
-    logger.info(`Game ${gameId}: moving to question ${game.currentQuestionIndex + 1}/${game.questionIds.length}`);
-    return { status: 'next', questionIndex: game.currentQuestionIndex };
+  /**
+   * Valider et normaliser une réponse avant correction
+   * TRUE_FALSE : true / false ou 1 / 0 (index dans ['Faux', 'Vrai']) → booléen
+   * NUMERIC : nombre ou chaîne numérique → nombre
+   * TEXT : chaîne de MAX_TEXT_ANSWER_LENGTH caractères au plus
+   */
+  parseAnswer(question, answer) {
+    switch (question.type) {
+      case 'TRUE_FALSE':
+        if (answer === true || answer === 1) return true;
+        if (answer === false || answer === 0) return false;
+        throw new AnswerValidationError('TRUE_FALSE answer must be true/false (or 1/0)');
+
+      case 'NUMERIC': {
+        const value = typeof answer === 'string' && answer.trim() !== '' ? Number(answer) : answer;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw new AnswerValidationError('NUMERIC answer must be a number');
+        }
+        return value;
+      }
+
+      case 'TEXT':
+        if (String(answer ?? '').length > MAX_TEXT_ANSWER_LENGTH) {
+          throw new AnswerValidationError(`TEXT answer must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`);
+        }
+        return answer;
+
+      default:
+        return answer;
+    }
   }
 
   /**
-   * Terminer la partie
+   * ORDERING : answer = index des éléments (ordre d'origine de answers) dans l'ordre choisi
+   * Crédit partiel : proportion d'éléments à la bonne position
    */
-  endGame(gameId) {
-    const game = this.getGame(gameId);
+  gradeOrdering(question, answer) {
+    const items = this.parseJsonColumn(question.answers) || [];
 
-    game.status = 'ended';
-    game.endedAt = Date.now();
+    if (!Array.isArray(answer) || items.length === 0) {
+      return { isCorrect: false, credit: 0 };
+    }
 
-    const db = databaseService.getDb();
-    db.prepare(`
-      UPDATE games 
-      SET status = 'ended', ended_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(gameId);
+    const wellPlaced = items.filter((_, index) => answer[index] === index).length;
+    const credit = wellPlaced / items.length;
 
-    logger.info(`Game ended: ${gameId}`);
-    return { status: 'ended', id: gameId };
+    return { isCorrect: credit === 1, credit };
   }
 
   /**
-   * ⭐ Obtenir le classement (trié par score puis par temps de réponse moyen)
+   * MULTI_SELECT : answer = index choisis
+   * Crédit partiel : (bons choix - mauvais choix) / nombre de bonnes réponses
    */
-  getRanking(gameId) {
-    const game = this.getGame(gameId);
+  gradeMultiSelect(question, answer) {
+    const correct = this.parseJsonColumn(question.correct_answers) || [];
+    const selected = Array.isArray(answer) ? [...new Set(answer)] : [];
 
-    const ranking = Array.from(game.players.values())
-      .map(player => {
-        const avgResponseTime = player.totalAnswers > 0
-          ? Math.round(player.totalResponseTime / player.totalAnswers)
-          : 0;
+    if (correct.length === 0) {
+      return { isCorrect: false, credit: 0 };
+    }
 
-        const fastestTime = player.fastestResponseTime === Infinity
-          ? 0
-          : player.fastestResponseTime;
+    const hits = selected.filter(i => correct.includes(i)).length;
+    const wrong = selected.length - hits;
+    const isCorrect = hits === correct.length && wrong === 0;
 
-        return {
-          buzzerID: player.buzzerID,
-          name: player.name,
-          score: player.score,
-          correctAnswers: player.correctAnswers,
-          totalAnswers: player.totalAnswers,
-          totalResponseTime: player.totalResponseTime,
-          avgResponseTime,
-          fastestResponseTime: Math.round(fastestTime),
-          slowestResponseTime: Math.round(player.slowestResponseTime),
-        };
-      })
+    return { isCorrect, credit: Math.max(0, (hits - wrong) / correct.length) };
+  }
+
+  /**
+   * ⭐ NUMERIC : classer les estimations par écart à la bonne valeur
+   * La (ou les, en cas d'égalité) plus proche(s) remporte(nt) les points
+   */
+  finalizeNumericQuestion(game, questionId) {
+    const db = databaseService.getDb();
+    const question = db.prepare('SELECT * FROM questions WHERE id = ?').get(questionId);
+    if (!question || question.type !== 'NUMERIC') return null;
+
+    const target = parseFloat(question.expected_answer);
+    const rows = db.prepare(`
+      SELECT * FROM game_results
+      WHERE game_id = ? AND question_id = ? AND response_time IS NOT NULL
+      ORDER BY id
+    `).all(game.id, questionId);
+
+    const ranking = rows
+      .map(r => ({
+        resultId: r.id,
+        buzzerID: r.buzzer_id,
+        answer: Number(r.answer),
+        distance: Math.abs(Number(r.answer) - target),
+        responseTime: r.response_time,
+      }))
+      .filter(r => Number.isFinite(r.distance))
+      .sort((a, b) => a.distance - b.distance || a.responseTime - b.responseTime);
+
+    const bestDistance = ranking.length > 0 ? ranking[0].distance : null;
+    const update = db.prepare('UPDATE game_results SET is_correct = ?, points = ?, rank = ? WHERE id = ?');
+
+    ranking.forEach((r, index) => {
+      r.rank = index + 1;
+      r.isCorrect = r.distance === bestDistance;
+      r.points = r.isCorrect
+        ? scoringService.computePoints(game.settings, {
+          basePoints: question.points || 10,
+          isCorrect: true,
+          isBuzz: false,
+          responseTime: r.responseTime,
+          duration: this.getQuestionDuration(game, question.type),
+          streak: 0,
+          isFirstCorrect: r.rank === 1,
+        })
+        : 0;
+    });
+
+    db.transaction(() => {
+      ranking.forEach(r => update.run(r.isCorrect ? 1 : 0, r.points, r.rank, r.resultId));
+    })();
+
+    ranking.forEach((r) => {
+      this.recomputePlayerStats(game, r.buzzerID);
+      const current = game.currentQuestionAnswers.get(r.buzzerID);
+      if (current) {
+        current.isCorrect = r.isCorrect;
+        current.points = r.points;
+      }
+    });
+    this.saveGameState(game.id);
+    this.logEvent(game.id, 'QUESTION_GRADED', { questionId, correctAnswer: target, ranking });
+
+    logger.info(`NUMERIC question ${questionId} graded: ${ranking.length} estimates, target ${target}`);
+
+    if (this.onQuestionGraded) {
+      this.onQuestionGraded(game.id, questionId, { correctAnswer: target, ranking });
+    }
+
+    return ranking;
+  }
+
+  /**
+   * Bonne réponse d'une question selon son type (révélation)
+   */
+  getCorrectAnswer(question) {
+    switch (question.type) {
+      case 'MCQ':
+      case 'TRUE_FALSE':
+        return question.correct_answer;
+      case 'MULTI_SELECT':
+        return this.parseJsonColumn(question.correct_answers);
+      case 'ORDERING':
+        // answers est stocké dans le bon ordre
+        return this.parseJsonColumn(question.answers);
+      case 'NUMERIC':
+        return parseFloat(question.expected_answer);
+      default:
+        // TEXT, BUZZER
+        return question.expected_answer ?? null;
+    }
+  }
+
+  /**
+   * Relire game_results.answer (ORDERING, MULTI_SELECT : tableau JSON)
+   */
+  parseStoredAnswer(question, value) {
+    if (question.type === 'ORDERING' || question.type === 'MULTI_SELECT') {
+      return this.parseJsonColumn(value);
+    }
+    return value;
+  }
+
+  /**
+   * Valeur stockée dans game_results.answer
+   */
+  serializeAnswer(question, answer) {
+    if (question.type === 'TEXT') return String(answer);
+    if (typeof answer === 'boolean') return answer ? 1 : 0;
+    return typeof answer === 'number' ? answer : JSON.stringify(answer);
+  }
+
+  /**
+   * Lire une colonne JSON (answers, correct_answers…)
+   */
+  parseJsonColumn(value) {
+    if (typeof value !== 'string') return value ?? null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Soumettre une réponse TEXT limite à l'animateur
+   */
+  requestReview(game, review) {
+    const pending = { ...review, requestedAt: Date.now() };
+    game.pendingReviews.set(review.resultId, pending);
+    this.saveGameState(game.id);
+    this.logEvent(game.id, 'ANSWER_REVIEW_REQUESTED', pending);
+
+    logger.info(`Answer "${review.answer}" from ${review.buzzerID} sent to host for review`);
+
+    if (this.onAnswerReview) {
+      this.onAnswerReview(game.id, pending);
+    }
+  }
+
+  /**
+   * Réponses TEXT en attente de validation par l'animateur
+   */
+  getPendingReviews(gameId) {
+    const game = this.getGame(gameId);
+    return Array.from(game.pendingReviews.values());
+  }
+
+  /**
+   * ⭐ Décision de l'animateur sur une réponse limite
+   * Acceptée : le résultat est corrigé (points recalculés) via amendResult
+   */
+  resolveReview(gameId, resultId, approved) {
+    const game = this.getGame(gameId);
+    const review = game.pendingReviews.get(resultId);
+
+    if (!review) {
+      throw new Error('No pending review for this result');
+    }
+
+    game.pendingReviews.delete(resultId);
+
+    let amended = null;
+    if (approved) {
+      amended = this.amendResult(gameId, resultId, { isCorrect: true });
+    } else {
+      this.saveGameState(gameId);
+    }
+    this.logEvent(gameId, 'ANSWER_REVIEWED', { resultId, buzzerID: review.buzzerID, approved: !!approved });
+
+    logger.info(`Review of result ${resultId} (${review.buzzerID}): ${approved ? 'approved' : 'rejected'}`);
+
+    const result = {
+      resultId,
+      buzzerID: review.buzzerID,
+      questionId: review.questionId,
+      answer: review.answer,
+      approved: !!approved,
+      isCorrect: !!approved,
+      points: amended ? amended.points : 0,
+    };
+
+    if (this.onReviewResolved) {
+      this.onReviewResolved(gameId, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Lister les résultats enregistrés d'une partie (optionnellement pour une question)
+   */
+  getResults(gameId, questionId = null) {
+    this.getGame(gameId);
+    const db = databaseService.getDb();
+
+    if (questionId) {
+      return db.prepare(`
+        SELECT * FROM game_results
+        WHERE game_id = ? AND question_id = ?
+        ORDER BY id
+      `).all(gameId, questionId);
+    }
+
+    return db.prepare(`
+      SELECT * FROM game_results WHERE game_id = ? ORDER BY id
+    `).all(gameId);
+  }
+
+  /**
+   * ⭐ Corriger un résultat (validation erronée de l'animateur, points modifiés)
+   * changes = { isCorrect?, points? } — sans points, ils sont recalculés par la stratégie
+   */
+  amendResult(gameId, resultId, changes = {}) {
+    const game = this.getGame(gameId);
+    const db = databaseService.getDb();
+
+    const row = db.prepare(`
+      SELECT * FROM game_results WHERE id = ? AND game_id = ?
+    `).get(resultId, gameId);
+
+    if (!row) {
+      throw new Error('Result not found');
+    }
+
+    const isCorrect = changes.isCorrect !== undefined ? !!changes.isCorrect : !!row.is_correct;
+    let points = changes.points;
+
+    if (points === undefined) {
+      if (isCorrect === !!row.is_correct) {
+        points = row.points;
+      } else {
+        const question = db.prepare('SELECT * FROM questions WHERE id = ?').get(row.question_id);
+        const questionType = question ? question.type : 'MCQ';
+        points = scoringService.computePoints(game.settings, {
+          basePoints: question ? question.points || 10 : 10,
+          isCorrect,
+          isBuzz: questionType === 'BUZZER',
+          responseTime: row.response_time || 0,
+          duration: this.getConfiguredDuration(game, questionType),
+          streak: 0,
+          isFirstCorrect: false,
+        });
+      }
+    }
+
+    db.prepare(`
+      UPDATE game_results SET is_correct = ?, points = ? WHERE id = ?
+    `).run(isCorrect ? 1 : 0, points, resultId);
+
+    // Répercuter sur la question en cours
+    const currentAnswer = this.isCurrentQuestion(game, row.question_id)
+      ? game.currentQuestionAnswers.get(row.buzzer_id)
+      : null;
+    if (currentAnswer) {
+      currentAnswer.isCorrect = isCorrect;
+      currentAnswer.points = points;
+    }
+
+    this.recomputePlayerStats(game, row.buzzer_id);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'RESULT_AMENDED', {
+      resultId: row.id,
+      buzzerID: row.buzzer_id,
+      questionId: row.question_id,
+      isCorrect,
+      points,
+      previous: { isCorrect: !!row.is_correct, points: row.points },
+    });
+
+    logger.info(
+      `Result ${resultId} amended (${row.buzzer_id}, question ${row.question_id}): ` +
+      `${row.points} → ${points} pts`
+    );
+
+    const result = {
+      resultId: row.id,
+      buzzerID: row.buzzer_id,
+      questionId: row.question_id,
+      isCorrect,
+      points,
+      previous: { isCorrect: !!row.is_correct, points: row.points },
+      undone: false,
+    };
+
+    if (this.onResultAmended) {
+      this.onResultAmended(gameId, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * ⭐ Annuler un résultat (suppression de la ligne game_results)
+   */
+  undoResult(gameId, resultId) {
+    const game = this.getGame(gameId);
+    const db = databaseService.getDb();
+
+    const row = db.prepare(`
+      SELECT * FROM game_results WHERE id = ? AND game_id = ?
+    `).get(resultId, gameId);
+
+    if (!row) {
+      throw new Error('Result not found');
+    }
+
+    db.prepare('DELETE FROM game_results WHERE id = ?').run(resultId);
+    game.pendingReviews.delete(resultId);
+
+    // Le joueur peut de nouveau répondre à la question en cours
+    const isCurrent = this.isCurrentQuestion(game, row.question_id);
+    if (isCurrent) {
+      game.currentQuestionAnswers.delete(row.buzzer_id);
+    }
+
+    this.recomputePlayerStats(game, row.buzzer_id);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'RESULT_UNDONE', {
+      resultId: row.id,
+      buzzerID: row.buzzer_id,
+      questionId: row.question_id,
+      previous: { isCorrect: !!row.is_correct, points: row.points },
+    });
+
+    logger.info(`Result ${resultId} undone (${row.buzzer_id}, question ${row.question_id})`);
+
+    const result = {
+      resultId: row.id,
+      buzzerID: row.buzzer_id,
+      questionId: row.question_id,
+      isCorrect: false,
+      points: 0,
+      previous: { isCorrect: !!row.is_correct, points: row.points },
+      undone: true,
+    };
+
+    if (this.onResultAmended) {
+      this.onResultAmended(gameId, result);
+    }
+
+    if (isCurrent && game.questionOpen) {
+      this.notifyQuestionProgress(game, row.question_id);
+    }
+
+    return result;
+  }
+
+  /**
+   * Recalculer les statistiques d'un joueur depuis game_results
+   */
+  recomputePlayerStats(game, buzzerID) {
+    const player = game.players.get(buzzerID);
+    if (!player) return null;
+
+    const db = databaseService.getDb();
+    const rows = db.prepare(`
+      SELECT is_correct, points, response_time
+      FROM game_results
+      WHERE game_id = ? AND buzzer_id = ?
+      ORDER BY id
+    `).all(game.id, buzzerID);
+
+    player.score = 0;
+    player.correctAnswers = 0;
+    player.totalAnswers = 0;
+    player.totalResponseTime = 0;
+    player.fastestResponseTime = Infinity;
+    player.slowestResponseTime = 0;
+    player.streak = 0;
+    player.adjustmentPoints = db.prepare(`
+      SELECT COALESCE(SUM(amount), 0) as total
+      FROM score_adjustments
+      WHERE game_id = ? AND buzzer_id = ?
+    `).get(game.id, buzzerID).total;
+
+    rows.forEach((r) => {
+      player.score += r.points || 0;
+
+      // Les lignes "sans réponse" (temps écoulé) ne comptent pas comme des réponses
+      if (r.response_time === null) return;
+
+      player.totalAnswers += 1;
+      if (r.is_correct) {
+        player.correctAnswers += 1;
+      }
+      player.streak = r.is_correct ? player.streak + 1 : 0;
+      player.totalResponseTime += r.response_time;
+
+      if (r.response_time < player.fastestResponseTime) {
+        player.fastestResponseTime = r.response_time;
+      }
+      if (r.response_time > player.slowestResponseTime) {
+        player.slowestResponseTime = r.response_time;
+      }
+    });
+
+    return player;
+  }
+
+  /**
+   * ⭐ Ajouter un bonus / une pénalité manuelle à un joueur (hors question)
+   */
+  addAdjustment(gameId, buzzerID, amount, reason, createdBy) {
+    const game = this.getGame(gameId);
+    const player = game.players.get(buzzerID);
+
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    const db = databaseService.getDb();
+    const info = db.prepare(`
+      INSERT INTO score_adjustments (game_id, buzzer_id, amount, reason, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(gameId, buzzerID, amount, reason, createdBy || null);
+
+    player.adjustmentPoints = (player.adjustmentPoints || 0) + amount;
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'SCORE_ADJUSTED', { buzzerID, amount, reason, createdBy: createdBy || null });
+
+    logger.info(`Adjustment ${amount > 0 ? '+' : ''}${amount} for ${buzzerID} in game ${gameId} by ${createdBy}: ${reason}`);
+
+    const adjustment = db.prepare('SELECT * FROM score_adjustments WHERE id = ?').get(info.lastInsertRowid);
+
+    if (this.onScoreAdjusted) {
+      this.onScoreAdjusted(gameId, adjustment);
+    }
+
+    return adjustment;
+  }
+
+  /**
+   * Lister les ajustements d'une partie (optionnellement pour un joueur)
+   */
+  getAdjustments(gameId, buzzerID = null) {
+    const db = databaseService.getDb();
+
+    if (buzzerID) {
+      return db.prepare(`
+        SELECT * FROM score_adjustments
+        WHERE game_id = ? AND buzzer_id = ?
+        ORDER BY id
+      `).all(gameId, buzzerID);
+    }
+
+    return db.prepare(`
+      SELECT * FROM score_adjustments WHERE game_id = ? ORDER BY id
+    `).all(gameId);
+  }
+
+  /**
+   * La question donnée est-elle la question en cours ?
+   */
+  isCurrentQuestion(game, questionId) {
+    return game.questionIds[game.currentQuestionIndex] === questionId;
+  }
+
+  /**
+   * Passer à la question suivante
+   */
+  nextQuestion(gameId, action = 'next') {
+    const game = this.getGame(gameId);
+    gameState.assertPhase(game, gameState.TRANSITIONS.changeQuestion.from, 'move to the next question');
+
+    this.resetQuestionState(game);
+    game.currentQuestionIndex++;
+
+    if (game.currentQuestionIndex >= game.questionIds.length) {
+      return this.endGame(gameId);
+    }
+    gameState.transition(game, 'changeQuestion');
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'QUESTION_CHANGED', {
+      action,
+      questionIndex: game.currentQuestionIndex,
+      questionId: game.questionIds[game.currentQuestionIndex],
+      resultsCleared: false,
+    });
+
+    logger.info(`Game ${gameId}: moving to question ${game.currentQuestionIndex + 1}/${game.questionIds.length}`);
+    return { status: 'next', questionIndex: game.currentQuestionIndex };
+  }
+
+  /**
+   * Passer la question en cours sans la jouer
+   */
+  skipQuestion(gameId) {
+    const game = this.getGame(gameId);
+
+    logger.info(`Game ${gameId}: skipping question ${game.currentQuestionIndex + 1}`);
+    const result = this.nextQuestion(gameId, 'skip');
+
+    if (result.status !== 'ended') {
+      this.notifyQuestionChanged(game, 'skip', false);
+    }
+    return result;
+  }
+
+  /**
+   * Revenir à la question précédente
+   */
+  previousQuestion(gameId, options = {}) {
+    const game = this.getGame(gameId);
+    return this.goToQuestion(gameId, game.currentQuestionIndex - 1, options, 'back');
+  }
+
+  /**
+   * ⭐ Aller à une question donnée (index 0-based)
+   * options.clearResults : effacer les résultats déjà enregistrés pour cette question
+   */
+  goToQuestion(gameId, index, options = {}, action = 'jump') {
+    const game = this.getGame(gameId);
+
+    if (!Number.isInteger(index) || index < 0 || index >= game.questionIds.length) {
+      throw new Error(`Invalid question index: ${index}`);
+    }
+
+    gameState.transition(game, 'changeQuestion');
+    this.resetQuestionState(game);
+    game.currentQuestionIndex = index;
+
+    const questionId = game.questionIds[index];
+    const clearResults = !!options.clearResults;
+    if (clearResults) {
+      this.clearQuestionResults(game, questionId);
+    }
+    game.currentQuestionAnswers = this.loadQuestionAnswers(game, questionId);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'QUESTION_CHANGED', {
+      action,
+      questionIndex: index,
+      questionId,
+      resultsCleared: clearResults,
+    });
+
+    logger.info(
+      `Game ${gameId}: ${action} to question ${index + 1}/${game.questionIds.length}` +
+      `${clearResults ? ' (results cleared)' : ''}`
+    );
+
+    return this.notifyQuestionChanged(game, action, clearResults);
+  }
+
+  /**
+   * ⭐ Réordonner les questions restantes (après la question en cours)
+   */
+  reorderQuestions(gameId, remainingQuestionIds) {
+    const game = this.getGame(gameId);
+
+    if (game.phase === PHASES.ENDED) {
+      throw new gameState.GameStateError('Cannot reorder questions: game already ended');
+    }
+
+    const played = game.questionIds.slice(0, game.currentQuestionIndex + 1);
+    const remaining = game.questionIds.slice(game.currentQuestionIndex + 1);
+
+    const sameSet = remainingQuestionIds.length === remaining.length
+      && remaining.every(id => remainingQuestionIds.includes(id));
+    if (!sameSet) {
+      throw new Error('questionIds must contain exactly the remaining questions');
+    }
+
+    game.questionIds = [...played, ...remainingQuestionIds];
+
+    const db = databaseService.getDb();
+    const updateOrder = db.prepare(`
+      UPDATE game_questions SET question_order = ?
+      WHERE game_id = ? AND question_id = ?
+    `);
+    db.transaction((ids) => {
+      ids.forEach((qId, i) => updateOrder.run(i + 1, gameId, qId));
+    })(game.questionIds);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'QUESTIONS_REORDERED', { questionIds: game.questionIds });
+
+    logger.info(`Game ${gameId}: remaining questions reordered`);
+    return { questionIds: game.questionIds, currentQuestionIndex: game.currentQuestionIndex };
+  }
+
+  /**
+   * Supprimer les résultats d'une question et recalculer les joueurs concernés
+   */
+  clearQuestionResults(game, questionId) {
+    const db = databaseService.getDb();
+
+    const buzzerIds = db.prepare(`
+      SELECT DISTINCT buzzer_id FROM game_results
+      WHERE game_id = ? AND question_id = ?
+    `).all(game.id, questionId).map(r => r.buzzer_id);
+
+    db.prepare(`
+      DELETE FROM game_results WHERE game_id = ? AND question_id = ?
+    `).run(game.id, questionId);
+
+    buzzerIds.forEach(id => this.recomputePlayerStats(game, id));
+  }
+
+  /**
+   * Notifier un changement de question (callback WebSocket)
+   */
+  notifyQuestionChanged(game, action, resultsCleared) {
+    const result = {
+      status: 'moved',
+      action,
+      questionIndex: game.currentQuestionIndex,
+      questionId: game.questionIds[game.currentQuestionIndex],
+      totalQuestions: game.questionIds.length,
+      resultsCleared,
+    };
+
+    if (this.onQuestionChanged) {
+      this.onQuestionChanged(game.id, result);
+    }
+
+    // Mode automatique : envoyer la nouvelle question
+    this.scheduleAutoPlay(game.id, 0);
+
+    return result;
+  }
+
+  /**
+   * Terminer la partie
+   */
+  endGame(gameId) {
+    const game = this.getGame(gameId);
+
+    gameState.transition(game, 'end');
+    const openQuestionId = game.questionOpen ? game.timedQuestionId : null;
+    this.clearQuestionTimer(game);
+    this.clearAutoPlayTimer(game);
+    this.clearAnswerTimer(game);
+    game.endedAt = Date.now();
+    game.questionOpen = false;
+    if (openQuestionId !== null) {
+      this.notifyQuestionClosed(game, openQuestionId, 'game-ended');
+    }
+
+    const db = databaseService.getDb();
+    db.prepare(`
+      UPDATE games 
+      SET status = 'ended', ended_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(gameId);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'GAME_ENDED', { ranking: this.getRanking(gameId) });
+
+    logger.info(`Game ended: ${gameId}`);
+
+    const result = { status: 'ended', id: gameId };
+
+    // Notifier via le callback (sera appelé par le WebSocket server)
+    if (this.onGameEnded) {
+      this.onGameEnded(gameId, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * ⭐ Obtenir le classement (trié par score puis par temps de réponse moyen)
+   */
+  getRanking(gameId) {
+    const game = this.getGame(gameId);
+
+    const ranking = Array.from(game.players.values())
+      .map(player => {
+        const avgResponseTime = player.totalAnswers > 0
+          ? Math.round(player.totalResponseTime / player.totalAnswers)
+          : 0;
+
+        const fastestTime = player.fastestResponseTime === Infinity
+          ? 0
+          : player.fastestResponseTime;
+
+        return {
+          buzzerID: player.buzzerID,
+          name: player.name,
+          teamId: player.teamId || null,
+          score: player.score + (player.adjustmentPoints || 0),
+          adjustmentPoints: player.adjustmentPoints || 0,
+          correctAnswers: player.correctAnswers,
+          totalAnswers: player.totalAnswers,
+          totalResponseTime: player.totalResponseTime,
+          avgResponseTime,
+          fastestResponseTime: Math.round(fastestTime),
+          slowestResponseTime: Math.round(player.slowestResponseTime),
+        };
+      })
       .sort((a, b) => {
         // ⭐ Critère 1 : Score le plus élevé
         if (b.score !== a.score) {
           return b.score - a.score;
         }
 
-        // ⭐ Critère 2 : Temps de réponse moyen le plus court
-        if (a.avgResponseTime !== b.avgResponseTime) {
-          return a.avgResponseTime - b.avgResponseTime;
+        // ⭐ Critère 2 : Temps de réponse moyen le plus court
+        if (a.avgResponseTime !== b.avgResponseTime) {
+          return a.avgResponseTime - b.avgResponseTime;
+        }
+
+        // ⭐ Critère 3 : Temps de réponse le plus rapide
+        return a.fastestResponseTime - b.fastestResponseTime;
+      })
+      .map((player, index) => ({
+        rank: index + 1,
+        ...player,
+      }));
+
+    return ranking;
+  }
+
+  /**
+   * ⭐ Position de chaque joueur (RANKING_UPDATE et GAME_OVER envoyés aux buzzers)
+   * Retourne { totalPlayers, top (3 premiers), players: buzzerID → { rank, score, gapToLeader } }
+   */
+  getPlayerStandings(gameId) {
+    const ranking = this.getRanking(gameId);
+    const leaderScore = ranking.length > 0 ? ranking[0].score : 0;
+
+    const players = new Map(ranking.map(p => [p.buzzerID, {
+      rank: p.rank,
+      score: p.score,
+      gapToLeader: leaderScore - p.score,
+    }]));
+
+    return {
+      totalPlayers: ranking.length,
+      top: ranking.slice(0, 3).map(p => ({
+        rank: p.rank,
+        buzzerID: p.buzzerID,
+        name: p.name,
+        score: p.score,
+      })),
+      players,
+    };
+  }
+
+  /**
+   * ⭐ Obtenir le classement par équipe selon settings.teamScoring :
+   * - sum : somme des scores des membres
+   * - best : meilleur score individuel de l'équipe
+   * - first-correct : seule la première bonne réponse de l'équipe compte à chaque question
+   */
+  getTeamRanking(gameId) {
+    const game = this.getGame(gameId);
+    const scoring = game.settings.teamScoring || 'sum';
+    const individualRanking = this.getRanking(gameId);
+    const firstCorrectScores = scoring === 'first-correct'
+      ? this.getFirstCorrectTeamScores(game)
+      : null;
+
+    const ranking = Array.from(game.teams.values())
+      .map(team => {
+        const members = individualRanking.filter(p => p.teamId === team.id);
+
+        let score;
+        if (scoring === 'best') {
+          score = members.length > 0 ? Math.max(...members.map(m => m.score)) : 0;
+        } else if (scoring === 'first-correct') {
+          // Les ajustements manuels des membres s'ajoutent aux points de l'équipe
+          score = (firstCorrectScores.get(team.id) || 0)
+            + members.reduce((sum, m) => sum + m.adjustmentPoints, 0);
+        } else {
+          score = members.reduce((sum, m) => sum + m.score, 0);
+        }
+
+        const totalAnswers = members.reduce((sum, m) => sum + m.totalAnswers, 0);
+        const totalResponseTime = members.reduce((sum, m) => sum + m.totalResponseTime, 0);
+
+        return {
+          teamId: team.id,
+          name: team.name,
+          score,
+          correctAnswers: members.reduce((sum, m) => sum + m.correctAnswers, 0),
+          totalAnswers,
+          avgResponseTime: totalAnswers > 0 ? Math.round(totalResponseTime / totalAnswers) : 0,
+          members: members.map(m => ({
+            buzzerID: m.buzzerID,
+            name: m.name,
+            score: m.score,
+          })),
+        };
+      })
+      .sort((a, b) => {
+        if (b.score !== a.score) {
+          return b.score - a.score;
+        }
+        return a.avgResponseTime - b.avgResponseTime;
+      })
+      .map((team, index) => ({
+        rank: index + 1,
+        ...team,
+      }));
+
+    return ranking;
+  }
+
+  /**
+   * Points "first-correct" par équipe : première bonne réponse (la plus rapide) par question
+   */
+  getFirstCorrectTeamScores(game) {
+    const db = databaseService.getDb();
+
+    const correctResults = db.prepare(`
+      SELECT question_id, buzzer_id, points
+      FROM game_results
+      WHERE game_id = ? AND is_correct = 1
+      ORDER BY question_id, response_time, id
+    `).all(game.id);
+
+    const scores = new Map(); // teamID → points
+    const scoredQuestions = new Set(); // "teamID:questionID"
+
+    correctResults.forEach((r) => {
+      const player = game.players.get(r.buzzer_id);
+      if (!player || !player.teamId) return;
+
+      const key = `${player.teamId}:${r.question_id}`;
+      if (scoredQuestions.has(key)) return;
+
+      scoredQuestions.add(key);
+      scores.set(player.teamId, (scores.get(player.teamId) || 0) + r.points);
+    });
+
+    return scores;
+  }
+
+  /**
+   * Obtenir les statistiques d'une partie depuis la BDD
+   */
+  getGameStats(gameId) {
+    const db = databaseService.getDb();
+
+    // Joueurs ayant des résultats OU seulement des ajustements de score
+    const stats = db.prepare(`
+      SELECT 
+        p.buzzer_id,
+        COALESCE(r.total_answers, 0) as total_answers,
+        COALESCE(r.correct_answers, 0) as correct_answers,
+        COALESCE(r.points, 0) + COALESCE(a.adjustment_points, 0) as total_points,
+        COALESCE(a.adjustment_points, 0) as adjustment_points,
+        r.avg_response_time,
+        r.min_response_time,
+        r.max_response_time
+      FROM (
+        SELECT buzzer_id FROM game_results WHERE game_id = ?
+        UNION
+        SELECT buzzer_id FROM score_adjustments WHERE game_id = ?
+      ) p
+      LEFT JOIN (
+        -- Seules les vraies réponses comptent (pas les lignes "sans réponse" ni les faux départs)
+        SELECT
+          buzzer_id,
+          SUM(CASE WHEN response_time IS NOT NULL AND COALESCE(false_start, 0) = 0 THEN 1 ELSE 0 END) as total_answers,
+          SUM(CASE WHEN is_correct THEN 1 ELSE 0 END) as correct_answers,
+          SUM(points) as points,
+          AVG(CASE WHEN COALESCE(false_start, 0) = 0 THEN response_time END) as avg_response_time,
+          MIN(CASE WHEN COALESCE(false_start, 0) = 0 THEN response_time END) as min_response_time,
+          MAX(CASE WHEN COALESCE(false_start, 0) = 0 THEN response_time END) as max_response_time
+        FROM game_results
+        WHERE game_id = ?
+        GROUP BY buzzer_id
+      ) r ON r.buzzer_id = p.buzzer_id
+      LEFT JOIN (
+        SELECT buzzer_id, SUM(amount) as adjustment_points
+        FROM score_adjustments
+        WHERE game_id = ?
+        GROUP BY buzzer_id
+      ) a ON a.buzzer_id = p.buzzer_id
+      ORDER BY total_points DESC, avg_response_time ASC
+    `).all(gameId, gameId, gameId, gameId);
+
+    return stats.map(s => ({
+      ...s,
+      accuracy: s.total_answers > 0 ? Math.round((s.correct_answers / s.total_answers) * 100) : 0,
+      avg_response_time: Math.round(s.avg_response_time || 0),
+      min_response_time: Math.round(s.min_response_time || 0),
+      max_response_time: Math.round(s.max_response_time || 0),
+    }));
+  }
+
+  /**
+   * ⭐ Démarrer le chrono serveur d'une question (mcqDuration / buzzerDuration)
+   */
+  startQuestionTimer(gameId, questionId, questionType) {
+    const game = this.getGame(gameId);
+
+    this.clearQuestionTimer(game);
+    const duration = this.getConfiguredDuration(game, questionType);
+
+    game.timedQuestionId = questionId;
+    game.timedQuestionType = questionType;
+    game.questionOpen = true;
+    game.questionClosed = false;
+    game.questionDuration = duration;
+    game.questionDeadline = Date.now() + duration;
+    this.armQuestionTimer(gameId, duration);
+    this.saveGameState(gameId);
+
+    logger.info(`Question ${questionId} timer started: ${duration}ms`);
+    return { duration, deadline: game.questionDeadline };
+  }
+
+  /**
+   * Durée configurée pour un type de question (réglages de la partie ou config)
+   */
+  getConfiguredDuration(game, questionType) {
+    return questionType === 'BUZZER'
+      ? game.settings.buzzerDuration || config.game.buzzerDuration
+      : game.settings.mcqDuration || config.game.mcqDuration;
+  }
+
+  /**
+   * Durée de la question en cours (chrono lancé) ou durée configurée
+   */
+  getQuestionDuration(game, questionType) {
+    if (game.questionOpen && game.questionDuration) {
+      return game.questionDuration;
+    }
+    return this.getConfiguredDuration(game, questionType);
+  }
+
+  /**
+   * Programmer l'expiration de la question en cours
+   * et les décomptes QUESTION_TICK (settings.tickInterval, temps restant en heure serveur)
+   */
+  armQuestionTimer(gameId, delay) {
+    const game = this.getGame(gameId);
+    const interval = game.settings.tickInterval ?? config.game.tickInterval;
+
+    const tick = () => {
+      if (this.onQuestionTick && game.questionOpen && game.questionDeadline) {
+        const now = Date.now();
+        this.onQuestionTick(gameId, {
+          questionId: game.timedQuestionId,
+          remainingTime: Math.max(0, game.questionDeadline - now),
+          deadline: game.questionDeadline,
+          duration: game.questionDuration,
+          serverTime: now,
+        });
+      }
+    };
+
+    // Premier décompte après un intervalle : QUESTION_START porte déjà la durée
+    if (interval > 0) {
+      game.questionTickTimer = setInterval(tick, interval);
+    }
+    game.questionTimer = setTimeout(() => {
+      game.questionTimer = null;
+      this.expireQuestion(gameId, game.timedQuestionId);
+    }, Math.max(0, delay));
+  }
+
+  /**
+   * Annuler le chrono de la question en cours (et ses décomptes)
+   */
+  clearQuestionTimer(game) {
+    if (game.questionTimer) {
+      clearTimeout(game.questionTimer);
+      game.questionTimer = null;
+    }
+    if (game.questionTickTimer) {
+      clearInterval(game.questionTickTimer);
+      game.questionTickTimer = null;
+    }
+  }
+
+  /**
+   * ⭐ Suspendre le chrono de la question pendant la réponse du gagnant d'un buzz
+   * (la question ne peut pas expirer avec un buzz en attente de validation)
+   */
+  suspendQuestionTimer(game) {
+    if (!game.questionDeadline) return;
+
+    this.clearQuestionTimer(game);
+    game.questionRemaining = Math.max(0, game.questionDeadline - Date.now());
+    game.questionDeadline = null;
+  }
+
+  /**
+   * Relancer le chrono suspendu (mauvaise réponse : les buzzers sont rouverts)
+   */
+  resumeQuestionTimer(game) {
+    if (game.questionRemaining === null || game.questionRemaining === undefined) return;
+
+    game.questionDeadline = Date.now() + game.questionRemaining;
+    game.questionRemaining = null;
+    if (game.phase !== PHASES.PAUSED) {
+      this.armQuestionTimer(game.id, game.questionDeadline - Date.now());
+    }
+  }
+
+  /**
+   * Question fermée (chrono, réponses complètes, révélation ou bon buzz) :
+   * dernier message du décompte pour tous les écrans
+   */
+  notifyQuestionClosed(game, questionId, reason) {
+    if (this.onQuestionClosed) {
+      this.onQuestionClosed(game.id, questionId, { reason, serverTime: Date.now() });
+    }
+  }
+
+  /**
+   * Annuler tous les chronos en cours (arrêt du serveur)
+   */
+  clearAllTimers() {
+    this.activeGames.forEach((game) => {
+      this.clearQuestionTimer(game);
+      this.clearAutoPlayTimer(game);
+      this.clearAnswerTimer(game);
+      if (game.buzzEvaluationTimer) {
+        clearTimeout(game.buzzEvaluationTimer);
+        game.buzzEvaluationTimer = null;
+      }
+    });
+  }
+
+  /**
+   * ⭐ Temps écoulé : fermer la question et enregistrer les non-réponses
+   */
+  expireQuestion(gameId, questionId) {
+    const game = this.getGame(gameId);
+
+    // Buzzes reçus avant l'échéance, encore dans la fenêtre de collecte : les départager d'abord
+    // (un gagnant suspend le chrono au lieu de fermer la question)
+    if (game.buzzEvaluationTimer) {
+      clearTimeout(game.buzzEvaluationTimer);
+      game.buzzEvaluationTimer = null;
+      this.evaluateBuzzes(gameId, questionId);
+      if (game.phase === PHASES.BUZZ_LOCKED) return null;
+    }
+
+    return this.closeQuestion(gameId, questionId, 'timeout');
+  }
+
+  /**
+   * Fermer la question en cours (reason : 'timeout' | 'all-answered')
+   */
+  closeQuestion(gameId, questionId, reason) {
+    const game = this.getGame(gameId);
+
+    if (!game.questionOpen || !gameState.canTransition(game, 'closeQuestion')) return;
+
+    this.clearQuestionTimer(game);
+    this.clearAnswerTimer(game);
+    game.answerDeadline = null;
+    game.questionOpen = false;
+    game.questionClosed = true;
+    gameState.transition(game, 'closeQuestion');
+
+    const noAnswer = this.recordNoAnswers(game, questionId);
+    this.saveBuzzOrder(game, questionId);
+    this.saveGameState(gameId);
+    this.logEvent(gameId, 'QUESTION_CLOSED', { questionId, reason, noAnswer });
+
+    if (game.timedQuestionType === 'NUMERIC') {
+      this.finalizeNumericQuestion(game, questionId);
+    }
+
+    logger.info(`Question ${questionId} closed: ${reason} (${noAnswer.length} without answer)`);
+    this.notifyQuestionClosed(game, questionId, reason);
+
+    // Notifier via le callback (sera appelé par le WebSocket server)
+    if (this.onQuestionTimeout) {
+      this.onQuestionTimeout(gameId, questionId, { noAnswer, reason });
+    }
+
+    // Révélation : automatique (settings.autoReveal) ou demandée par l'animateur
+    const reveal = this.revealAnswer(gameId, { auto: reason !== 'host-reveal' });
+
+    this.scheduleAutoPlay(gameId, game.settings.revealDelay ?? config.game.revealDelay);
+
+    return { noAnswer, reveal };
+  }
+
+  /**
+   * ⭐ Révéler la bonne réponse, la répartition des réponses et les résultats par joueur
+   * (la bonne réponse n'est jamais envoyée avant : QUESTION_START ne la contient pas)
+   * options.auto : révélation automatique, ignorée si settings.autoReveal est désactivé
+   */
+  revealAnswer(gameId, options = {}) {
+    const game = this.getGame(gameId);
+    const questionId = game.timedQuestionId;
+
+    if (options.auto && game.settings.autoReveal === false) return null;
+
+    // Révélation anticipée par l'animateur : fermer d'abord la question
+    if (game.questionOpen && gameState.canTransition(game, 'closeQuestion')) {
+      return this.closeQuestion(gameId, questionId, 'host-reveal').reveal;
+    }
+
+    gameState.assertPhase(game, [PHASES.ANSWER_REVEAL], 'reveal the answer');
+
+    const db = databaseService.getDb();
+    const question = db.prepare('SELECT * FROM questions WHERE id = ?').get(questionId);
+    if (!question) {
+      throw new Error(`Question not found: ${questionId}`);
+    }
+
+    const rows = db.prepare(`
+      SELECT * FROM game_results
+      WHERE game_id = ? AND question_id = ?
+      ORDER BY id
+    `).all(game.id, questionId);
+
+    const reveal = {
+      gameId,
+      questionId,
+      questionType: question.type,
+      correctAnswer: this.getCorrectAnswer(question),
+      distribution: this.getAnswerDistribution(game, question, rows),
+      results: rows.map((r) => {
+        const player = game.players.get(r.buzzer_id);
+        return {
+          resultId: r.id,
+          buzzerID: r.buzzer_id,
+          name: player ? player.name : r.buzzer_id,
+          answer: this.parseStoredAnswer(question, r.answer),
+          isCorrect: !!r.is_correct,
+          points: r.points,
+          responseTime: r.response_time,
+          rank: r.rank,
+          falseStart: !!r.false_start,
+        };
+      }),
+    };
+
+    this.logEvent(gameId, 'ANSWER_REVEALED', {
+      questionId,
+      correctAnswer: reveal.correctAnswer,
+      distribution: reveal.distribution,
+    });
+
+    logger.info(`Answer revealed for question ${questionId} (${reveal.distribution.answered} answers)`);
+
+    if (this.onAnswerRevealed) {
+      this.onAnswerRevealed(gameId, reveal);
+    }
+
+    return reveal;
+  }
+
+  /**
+   * Répartition des réponses d'une question : { players, answered, correct, counts: { réponse → nombre } }
+   * (MULTI_SELECT : un compte par proposition cochée ; BUZZER : pas de répartition par réponse)
+   */
+  getAnswerDistribution(game, question, rows) {
+    const answered = rows.filter(r => r.response_time !== null && !r.false_start);
+    const counts = {};
+
+    if (question.type !== 'BUZZER') {
+      answered.forEach((r) => {
+        const value = this.parseStoredAnswer(question, r.answer);
+        const keys = question.type === 'MULTI_SELECT' && Array.isArray(value) ? value : [value];
+        keys.forEach((key) => {
+          const k = typeof key === 'object' ? JSON.stringify(key) : String(key);
+          counts[k] = (counts[k] || 0) + 1;
+        });
+      });
+    }
+
+    return {
+      players: game.players.size,
+      answered: answered.length,
+      correct: answered.filter(r => r.is_correct).length,
+      counts,
+    };
+  }
+
+  /**
+   * Enregistrer un résultat "sans réponse" pour les joueurs qui n'ont pas répondu
+   */
+  recordNoAnswers(game, questionId) {
+    const db = databaseService.getDb();
+
+    const answered = new Set(
+      db.prepare(`
+        SELECT buzzer_id FROM game_results
+        WHERE game_id = ? AND question_id = ?
+      `).all(game.id, questionId).map(r => r.buzzer_id)
+    );
+
+    // Le gagnant d'un buzz en attente de validation n'est pas un "sans réponse"
+    const noAnswer = Array.from(game.players.keys()).filter(
+      id => !answered.has(id) && id !== game.currentQuestionWinner
+    );
+
+    const insertNoAnswer = db.prepare(`
+      INSERT INTO game_results (game_id, question_id, buzzer_id, answer, is_correct, response_time, points)
+      VALUES (?, ?, ?, NULL, 0, NULL, 0)
+    `);
+
+    try {
+      db.transaction((ids) => {
+        ids.forEach(id => insertNoAnswer.run(game.id, questionId, id));
+      })(noAnswer);
+    } catch (err) {
+      logger.error(`Error saving no-answer results: ${err.message}`);
+    }
+
+    return noAnswer;
+  }
+
+  // ═══════════════════════════════════════════════════
+  // MODE AUTOMATIQUE (settings.autoPlay)
+  // question envoyée → chrono ou toutes les réponses → résultats (revealDelay) → suivante
+  // ═══════════════════════════════════════════════════
+
+  /**
+   * Programmer la prochaine étape du mode automatique
+   */
+  scheduleAutoPlay(gameId, delay) {
+    const game = this.getGame(gameId);
+    if (!game.settings.autoPlay) return;
+
+    this.clearAutoPlayTimer(game);
+    if (game.phase === PHASES.PAUSED || game.phase === PHASES.ENDED) return;
+
+    game.autoPlayTimer = setTimeout(() => {
+      game.autoPlayTimer = null;
+      try {
+        this.runAutoPlayStep(gameId);
+      } catch (err) {
+        logger.error(`Auto-play error in game ${gameId}: ${err.message}`);
+      }
+    }, Math.max(0, delay));
+  }
+
+  clearAutoPlayTimer(game) {
+    if (game.autoPlayTimer) {
+      clearTimeout(game.autoPlayTimer);
+      game.autoPlayTimer = null;
+    }
+  }
+
+  /**
+   * Délai avant la prochaine étape selon la phase (reprise après pause, redémarrage)
+   */
+  getAutoPlayDelay(game) {
+    return game.phase === PHASES.ANSWER_REVEAL
+      ? game.settings.revealDelay ?? config.game.revealDelay
+      : 0;
+  }
+
+  /**
+   * ⭐ Étape du mode automatique, selon la phase courante
+   */
+  runAutoPlayStep(gameId) {
+    const game = this.getGame(gameId);
+
+    switch (game.phase) {
+      case PHASES.BETWEEN_QUESTIONS: {
+        const questionId = game.questionIds[game.currentQuestionIndex];
+        logger.info(`Auto-play: sending question ${game.currentQuestionIndex + 1}/${game.questionIds.length}`);
+
+        if (this.onAutoPlayQuestion) {
+          // Le serveur WebSocket envoie la question aux buzzers (et appelle startQuestion)
+          this.onAutoPlayQuestion(gameId, questionId);
+        } else {
+          const question = databaseService.getDb()
+            .prepare('SELECT type FROM questions WHERE id = ?').get(questionId);
+          this.startQuestion(gameId, questionId, question ? question.type : 'MCQ');
+        }
+        break;
+      }
+
+      case PHASES.QUESTION_OPEN:
+        if (this.allPlayersAnswered(game)) {
+          this.closeQuestion(gameId, game.timedQuestionId, 'all-answered');
         }
+        break;
 
-        // ⭐ Critère 3 : Temps de réponse le plus rapide
-        return a.fastestResponseTime - b.fastestResponseTime;
-      })
-      .map((player, index) => ({
-        rank: index + 1,
-        ...player,
-      }));
+      case PHASES.ANSWER_REVEAL: {
+        const result = this.nextQuestion(gameId, 'auto');
+        if (result.status !== 'ended') {
+          this.notifyQuestionChanged(game, 'auto', false);
+        }
+        break;
+      }
 
-    return ranking;
+      default:
+        // buzz-locked : on attend la validation de l'animateur ou la fin du chrono
+        break;
+    }
   }
 
+  // ═══════════════════════════════════════════════════
+  // PROGRESSION DES RÉPONSES (compteur en direct pour l'animateur)
+  // ═══════════════════════════════════════════════════
+
   /**
-   * Obtenir les statistiques d'une partie depuis la BDD
+   * ⭐ Progression de la question en cours : réponses reçues, joueurs manquants,
+   * répartition par proposition (MCQ, TRUE_FALSE, MULTI_SELECT) et temps de réponse moyen
    */
-  getGameStats(gameId) {
+  getQuestionProgress(gameId) {
+    const game = this.getGame(gameId);
+    const questionId = game.questionOpen || game.questionClosed
+      ? game.timedQuestionId
+      : game.questionIds[game.currentQuestionIndex];
+
+    const question = databaseService.getDb()
+      .prepare('SELECT * FROM questions WHERE id = ?').get(questionId);
+    if (!question) {
+      throw new Error(`Question not found: ${questionId}`);
+    }
+
+    const answers = Array.from(game.currentQuestionAnswers.entries());
+    const missing = Array.from(game.players.keys()).filter(id => !game.currentQuestionAnswers.has(id));
+    const totalResponseTime = answers.reduce((sum, [, a]) => sum + (a.responseTime || 0), 0);
+
+    return {
+      gameId: game.id,
+      questionId,
+      questionType: question.type,
+      players: game.players.size,
+      answered: answers.length,
+      missing,
+      counts: this.getOptionCounts(question, answers.map(([, a]) => a.answer)),
+      averageResponseTime: answers.length > 0 ? Math.round(totalResponseTime / answers.length) : null,
+      allAnswered: this.allPlayersAnswered(game),
+    };
+  }
+
+  /**
+   * Nombre de réponses par proposition (null pour les types sans propositions)
+   * Les réponses relues depuis game_results (question revisitée) sont sous leur forme stockée.
+   */
+  getOptionCounts(question, answers) {
+    let size;
+    switch (question.type) {
+      case 'MCQ':
+      case 'MULTI_SELECT': {
+        const options = this.parseJsonColumn(question.answers);
+        size = Array.isArray(options) ? options.length : 0;
+        break;
+      }
+      case 'TRUE_FALSE':
+        size = 2;
+        break;
+      default:
+        return null;
+    }
+
+    const counts = new Array(size).fill(0);
+    answers.forEach((answer) => {
+      let picked;
+      if (question.type === 'MULTI_SELECT') {
+        picked = this.parseJsonColumn(answer);
+      } else if (question.type === 'TRUE_FALSE') {
+        picked = [answer === true || Number(answer) === 1 ? 1 : 0];
+      } else {
+        picked = [Number(answer)];
+      }
+
+      (Array.isArray(picked) ? picked : []).forEach((index) => {
+        if (Number.isInteger(index) && index >= 0 && index < size) {
+          counts[index] += 1;
+        }
+      });
+    });
+
+    return counts;
+  }
+
+  /**
+   * Pousser la progression à l'animateur ; quand tout le monde a répondu,
+   * ALL_PLAYERS_ANSWERED permet de passer à la suite sans attendre le chrono
+   */
+  notifyQuestionProgress(game, questionId) {
+    let progress;
+    try {
+      progress = this.getQuestionProgress(game.id);
+    } catch (err) {
+      logger.error(`Error computing progress of question ${questionId}: ${err.message}`);
+      return null;
+    }
+
+    if (this.onQuestionProgress) {
+      this.onQuestionProgress(game.id, progress);
+    }
+
+    if (progress.allAnswered && game.questionOpen) {
+      this.logEvent(game.id, 'ALL_PLAYERS_ANSWERED', {
+        questionId,
+        answered: progress.answered,
+        averageResponseTime: progress.averageResponseTime,
+      });
+      logger.info(`All ${progress.players} players answered question ${questionId}`);
+
+      if (this.onAllPlayersAnswered) {
+        this.onAllPlayersAnswered(game.id, questionId, progress);
+      }
+
+      // Mode automatique : fermer la question sans attendre la fin du chrono
+      this.scheduleAutoPlay(game.id, 0);
+    }
+
+    return progress;
+  }
+
+  /**
+   * Tous les joueurs inscrits ont-ils répondu à la question en cours ?
+   */
+  allPlayersAnswered(game) {
+    return game.players.size > 0
+      && Array.from(game.players.keys()).every(id => game.currentQuestionAnswers.has(id));
+  }
+
+  /**
+   * Ajouter un événement au journal de la partie (voir event-log.service.js)
+   */
+  logEvent(gameId, type, payload = {}) {
+    eventLogService.record(gameId, type, payload, 'game');
+  }
+
+  /**
+   * Sauvegarder l'état en mémoire d'une partie dans games.state
+   * (permet de la reconstruire après un redémarrage du serveur)
+   */
+  saveGameState(gameId) {
+    const game = this.getGame(gameId);
+
+    const state = {
+      phase: game.phase,
+      phaseBeforePause: game.phaseBeforePause ?? null,
+      currentQuestionIndex: game.currentQuestionIndex,
+      questionStartTime: game.questionStartTime,
+      startedAt: game.startedAt || null,
+      players: Array.from(game.players.values()),
+      teams: Array.from(game.teams.values()),
+      currentQuestionAnswers: Array.from(game.currentQuestionAnswers.entries()),
+      pendingReviews: Array.from(game.pendingReviews.values()),
+      currentQuestionBuzzes: game.currentQuestionBuzzes || [],
+      currentQuestionExcluded: game.currentQuestionExcluded
+        ? Array.from(game.currentQuestionExcluded)
+        : [],
+      falseStartLockouts: game.falseStartLockouts ? Array.from(game.falseStartLockouts.entries()) : [],
+      falseStartQuestionId: game.falseStartQuestionId ?? null,
+      buzzOrder: game.buzzOrder || [],
+      currentQuestionWinner: game.currentQuestionWinner || null,
+      buzzerLocked: !!game.buzzerLocked,
+      timedQuestionId: game.timedQuestionId ?? null,
+      timedQuestionType: game.timedQuestionType ?? null,
+      questionOpen: !!game.questionOpen,
+      questionClosed: !!game.questionClosed,
+      questionDuration: game.questionDuration ?? null,
+      questionDeadline: game.questionDeadline ?? null,
+      questionRemaining: game.questionRemaining ?? null,
+      pausedAt: game.pausedAt ?? null,
+      pausedRemaining: game.pausedRemaining ?? null,
+      answerDeadline: game.answerDeadline ?? null,
+      answerPausedRemaining: game.answerPausedRemaining ?? null,
+    };
+
+    try {
+      databaseService.getDb()
+        .prepare('UPDATE games SET state = ? WHERE id = ?')
+        .run(JSON.stringify(state), gameId);
+    } catch (err) {
+      logger.error(`Error saving game state ${gameId}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Reconstruire les parties non terminées depuis la BDD (au démarrage)
+   */
+  restoreActiveGames() {
     const db = databaseService.getDb();
 
-    const stats = db.prepare(`
-      SELECT 
-        buzzer_id,
-        COUNT(*) as total_answers,
-        SUM(CASE WHEN is_correct THEN 1 ELSE 0 END) as correct_answers,
-        SUM(points) as total_points,
-        AVG(response_time) as avg_response_time,
-        MIN(response_time) as min_response_time,
-        MAX(response_time) as max_response_time
-      FROM game_results
+    const rows = db.prepare(`
+      SELECT * FROM games WHERE status != 'ended'
+    `).all();
+
+    const selectQuestionIds = db.prepare(`
+      SELECT question_id FROM game_questions
       WHERE game_id = ?
-      GROUP BY buzzer_id
-      ORDER BY total_points DESC, avg_response_time ASC
-    `).all(gameId);
+      ORDER BY question_order
+    `);
 
-    return stats.map(s => ({
-      ...s,
-      avg_response_time: Math.round(s.avg_response_time || 0),
-      min_response_time: Math.round(s.min_response_time || 0),
-      max_response_time: Math.round(s.max_response_time || 0),
-    }));
+    let restored = 0;
+    rows.forEach((row) => {
+      try {
+        const settings = row.settings ? JSON.parse(row.settings) : {};
+        const state = row.state ? JSON.parse(row.state) : {};
+
+        const players = new Map();
+        (state.players || []).forEach((p) => {
+          players.set(p.buzzerID, {
+            ...p,
+            // JSON.stringify(Infinity) → null
+            fastestResponseTime: p.fastestResponseTime ?? Infinity,
+          });
+        });
+
+        const teams = new Map();
+        (state.teams || []).forEach((t) => {
+          teams.set(t.id, t);
+        });
+
+        this.activeGames.set(row.id, {
+          id: row.id,
+          name: row.name,
+          status: row.status,
+          phase: state.phase || gameState.phaseForStatus(row.status),
+          phaseBeforePause: state.phaseBeforePause ?? null,
+          settings,
+          questionIds: selectQuestionIds.all(row.id).map(q => q.question_id),
+          currentQuestionIndex: state.currentQuestionIndex ?? -1,
+          questionStartTime: state.questionStartTime ?? null,
+          startedAt: state.startedAt ?? undefined,
+          players,
+          teams,
+          currentQuestionAnswers: new Map(state.currentQuestionAnswers || []),
+          pendingReviews: new Map((state.pendingReviews || []).map(r => [r.resultId, r])),
+          // Les buzzes non évalués au moment de l'arrêt sont perdus (fenêtre settings.buzzWindow)
+          currentQuestionBuzzes: (state.currentQuestionBuzzes || []).filter(b => b.processed),
+          currentQuestionExcluded: new Set(state.currentQuestionExcluded || []),
+          falseStartLockouts: new Map(state.falseStartLockouts || []),
+          falseStartQuestionId: state.falseStartQuestionId ?? null,
+          buzzOrder: state.buzzOrder || [],
+          currentQuestionWinner: state.currentQuestionWinner ?? null,
+          buzzerLocked: !!state.buzzerLocked,
+          buzzEvaluationTimer: null,
+          timedQuestionId: state.timedQuestionId ?? null,
+          timedQuestionType: state.timedQuestionType ?? null,
+          questionOpen: !!state.questionOpen,
+          questionClosed: !!state.questionClosed,
+          questionDuration: state.questionDuration ?? null,
+          questionDeadline: state.questionDeadline ?? null,
+          questionRemaining: state.questionRemaining ?? null,
+          questionTimer: null,
+          questionTickTimer: null,
+          autoPlayTimer: null,
+          pausedAt: state.pausedAt ?? null,
+          pausedRemaining: state.pausedRemaining ?? null,
+          answerDeadline: state.answerDeadline ?? null,
+          answerPausedRemaining: state.answerPausedRemaining ?? null,
+          answerTimer: null,
+          answerTickTimer: null,
+        });
+
+        // Réarmer le chrono d'une question encore ouverte
+        const game = this.activeGames.get(row.id);
+        if (game.phase !== PHASES.PAUSED && game.questionOpen && game.questionDeadline) {
+          this.armQuestionTimer(row.id, game.questionDeadline - Date.now());
+        }
+        if (game.phase === PHASES.BUZZ_LOCKED && game.answerDeadline) {
+          this.armAnswerTimer(row.id, game.answerDeadline - Date.now());
+        }
+        // Mode automatique : laisser aux buzzers le temps de se reconnecter
+        this.scheduleAutoPlay(row.id, Math.max(
+          this.getAutoPlayDelay(game),
+          game.settings.revealDelay ?? config.game.revealDelay
+        ));
+        restored++;
+      } catch (err) {
+        logger.error(`Error restoring game ${row.id}: ${err.message}`);
+      }
+    });
+
+    logger.info(`Restored ${restored} active game(s) from database`);
+    return restored;
   }
 
   /**
@@ -400,11 +2425,42 @@ recordBuzz(gameId, questionId, buzzerID, timestamps) {
     game.buzzerLocked = false;
   }
 
+  // Vérifier que la partie n'est pas en pause
+  if (game.phase === PHASES.PAUSED) {
+    return { ignored: true, reason: 'Partie en pause' };
+  }
+
+  // Vérifier que le temps imparti n'est pas écoulé
+  if (game.questionClosed) {
+    return { ignored: true, reason: 'Temps écoulé' };
+  }
+
+  if (game.phase === PHASES.ANSWER_REVEAL) {
+    return { ignored: true, reason: 'Question fermée' };
+  }
+
   // Vérifier si ce joueur est exclu (a déjà donné une mauvaise réponse)
   if (game.currentQuestionExcluded.has(buzzerID)) {
     return { ignored: true, reason: 'Joueur exclu pour cette question' };
   }
 
+  // Question rouverte avec ses résultats conservés : pas de second gain pour un joueur déjà validé
+  if (this.hasCorrectResult(game, Number(questionId), buzzerID)) {
+    return { ignored: true, reason: 'Bonne réponse déjà validée pour cette question' };
+  }
+
+  // Vérifier si ce joueur est bloqué après un faux départ
+  if (!game.falseStartLockouts) {
+    game.falseStartLockouts = new Map();
+  }
+  if (game.falseStartLockouts.has(buzzerID)) {
+    const lockedUntil = game.falseStartLockouts.get(buzzerID);
+    if (lockedUntil === null || lockedUntil > Date.now()) {
+      return { ignored: true, reason: 'Bloqué après un faux départ', lockedUntil };
+    }
+    game.falseStartLockouts.delete(buzzerID);
+  }
+
   // Vérifier si ce joueur a déjà buzzé dans cette "manche"
   const alreadyBuzzed = game.currentQuestionBuzzes.find(
     b => b.buzzerID === buzzerID && !b.processed
@@ -414,10 +2470,19 @@ recordBuzz(gameId, questionId, buzzerID, timestamps) {
   }
 
   // Vérifier si les buzzers sont verrouillés (un gagnant a déjà été désigné)
-  if (game.buzzerLocked) {
+  if (game.buzzerLocked || game.phase === PHASES.BUZZ_LOCKED) {
     return { ignored: true, reason: 'Buzzers verrouillés' };
   }
 
+  // ⭐ Faux départ : buzz sur la question attendue avant son ouverture
+  // (le blocage est conservé à l'ouverture de cette question, voir startQuestion)
+  if (game.phase === PHASES.BETWEEN_QUESTIONS && this.isCurrentQuestion(game, Number(questionId))) {
+    game.falseStartQuestionId = Number(questionId);
+    return this.recordFalseStart(game, Number(questionId), buzzerID, null, timestamps);
+  }
+
+  gameState.assertPhase(game, [PHASES.QUESTION_OPEN], 'buzz');
+
   // Calculer le temps de réponse
   let responseTime = 0;
   if (timestamps && timestamps.timestamp_synced_action && game.questionStartTime) {
@@ -425,11 +2490,17 @@ recordBuzz(gameId, questionId, buzzerID, timestamps) {
   } else if (game.questionStartTime) {
     responseTime = Date.now() - game.questionStartTime;
   }
+
+  // ⭐ Faux départ : buzz déclenché avant le début de la question
+  if (responseTime < -(game.settings.falseStartTolerance || 0)) {
+    return this.recordFalseStart(game, questionId, buzzerID, responseTime, timestamps);
+  }
   if (responseTime < 0) responseTime = 0;
 
   // Enregistrer le buzz
   const buzzEntry = {
     buzzerID,
+    questionId,
     responseTime,
     timestamps,
     receivedAt: Date.now(),
@@ -445,13 +2516,11 @@ recordBuzz(gameId, questionId, buzzerID, timestamps) {
     game.buzzEvaluationTimer = setTimeout(() => {
       this.evaluateBuzzes(gameId, questionId);
       game.buzzEvaluationTimer = null;
-    }, 200); // 200ms de fenêtre pour collecter les buzzes simultanés
+    }, game.settings.buzzWindow ?? config.game.buzzWindow);
   }
 
   // Pour l'instant, signaler que le buzz est enregistré
   // Le résultat définitif viendra après l'évaluation
-  const isFirstBuzz = game.currentQuestionBuzzes.filter(b => !b.processed).length === 1;
-
   return {
     ignored: false,
     isWinner: false, // Sera déterminé dans evaluateBuzzes
@@ -461,6 +2530,53 @@ recordBuzz(gameId, questionId, buzzerID, timestamps) {
   };
 }
 
+/**
+ * ⭐ Enregistrer un faux départ et bloquer le joueur
+ * (settings.falseStartLockout : 'question' = jusqu'à la fin de la question, sinon durée en ms)
+ */
+recordFalseStart(game, questionId, buzzerID, responseTime, timestamps) {
+  const lockout = game.settings.falseStartLockout ?? 'question';
+  const lockedUntil = lockout === 'question' ? null : Date.now() + (Number(lockout) || 0);
+  game.falseStartLockouts.set(buzzerID, lockedUntil);
+
+  // Ligne de résultat marquée false_start (sans temps de réponse : hors statistiques)
+  let resultId = null;
+  try {
+    const info = databaseService.getDb().prepare(`
+      INSERT INTO game_results (
+        game_id, question_id, buzzer_id, answer, is_correct,
+        response_time, timestamp_local_action, timestamp_synced_action,
+        calibrated_latency, points, false_start
+      ) VALUES (?, ?, ?, NULL, 0, NULL, ?, ?, ?, 0, 1)
+    `).run(
+      game.id,
+      questionId,
+      buzzerID,
+      timestamps ? timestamps.timestamp_local_action ?? null : null,
+      timestamps ? timestamps.timestamp_synced_action ?? null : null,
+      timestamps ? timestamps.calibrated_latency ?? null : null
+    );
+    resultId = info.lastInsertRowid;
+  } catch (err) {
+    logger.error(`Error saving false start: ${err.message}`);
+  }
+
+  this.saveGameState(game.id);
+  this.logEvent(game.id, 'BUZZ_FALSE_START', { questionId, buzzerID, responseTime, lockedUntil, resultId });
+
+  const when = responseTime === null ? 'before the question opened' : `${responseTime}ms`;
+  logger.warn(`False start from ${buzzerID}: ${when} (locked ${lockedUntil === null ? 'for the question' : `until ${lockedUntil}`})`);
+
+  return {
+    ignored: true,
+    falseStart: true,
+    reason: 'Faux départ',
+    responseTime,
+    lockedUntil,
+    resultId,
+  };
+}
+
 /**
  * ⭐ Évaluer tous les buzzes reçus et déterminer le gagnant
  */
@@ -468,6 +2584,7 @@ evaluateBuzzes(gameId, questionId) {
   const game = this.getGame(gameId);
 
   if (!game.currentQuestionBuzzes || game.buzzerLocked) return;
+  if (game.phase !== PHASES.QUESTION_OPEN) return;
 
   // Filtrer les buzzes non encore traités et non exclus
   const pendingBuzzes = game.currentQuestionBuzzes.filter(
@@ -476,26 +2593,195 @@ evaluateBuzzes(gameId, questionId) {
 
   if (pendingBuzzes.length === 0) return;
 
-  // ⭐ Trier par temps de réponse (le plus rapide en premier)
-  pendingBuzzes.sort((a, b) => a.responseTime - b.responseTime);
+  // ⭐ Classer avec compensation de latence (timestamp synchronisé - latence / 2)
+  const ranked = rankingService.calculateBuzzerRanking(pendingBuzzes.map(b => ({
+    buzzerID: b.buzzerID,
+    responseTime: b.responseTime,
+    timestamp_synced_action: b.timestamps && b.timestamps.timestamp_synced_action
+      ? b.timestamps.timestamp_synced_action
+      : b.receivedAt,
+    calibrated_latency: (b.timestamps && b.timestamps.calibrated_latency) || 0,
+  })));
+  pendingBuzzes.sort((a, b) => (
+    ranked.findIndex(r => r.buzzerID === a.buzzerID) - ranked.findIndex(r => r.buzzerID === b.buzzerID)
+  ));
+
+  // Ordre complet des buzzes de la question (les manches suivantes continuent la numérotation)
+  if (!game.buzzOrder) {
+    game.buzzOrder = [];
+  }
+  ranked.forEach((r) => {
+    if (!game.buzzOrder.some(o => o.buzzerID === r.buzzerID)) {
+      game.buzzOrder.push({
+        buzzerID: r.buzzerID,
+        rank: game.buzzOrder.length + 1,
+        responseTime: r.responseTime,
+        compensatedTimestamp: r.compensatedTimestamp,
+      });
+    }
+  });
+
+  // Marquer les autres comme traités
+  pendingBuzzes.slice(1).forEach(b => {
+    b.processed = true;
+  });
 
   // Le gagnant est le plus rapide
-  const winner = pendingBuzzes[0];
+  this.setBuzzWinner(game, questionId, pendingBuzzes[0], {
+    contenders: ranked.map(r => ({
+      buzzerID: r.buzzerID,
+      responseTime: r.responseTime,
+      compensatedTimestamp: r.compensatedTimestamp,
+    })),
+  });
+}
+
+/**
+ * Donner la main à un joueur (buzzers verrouillés jusqu'à la validation)
+ */
+setBuzzWinner(game, questionId, winner, details = {}) {
   winner.processed = true;
   game.currentQuestionWinner = winner.buzzerID;
   game.buzzerLocked = true;
+  gameState.transition(game, 'lockBuzz');
+  this.suspendQuestionTimer(game);
 
   logger.info(`⭐ Buzz winner: ${winner.buzzerID} (${winner.responseTime}ms)`);
 
-  // Marquer les autres comme traités
-  pendingBuzzes.slice(1).forEach(b => {
-    b.processed = true;
+  this.saveGameState(game.id);
+  this.logEvent(game.id, 'BUZZ_WINNER', {
+    questionId,
+    buzzerID: winner.buzzerID,
+    responseTime: winner.responseTime,
+    ...details,
+    buzzOrder: game.buzzOrder,
   });
 
   // Notifier via le callback (sera appelé par le WebSocket server)
   if (this.onBuzzWinner) {
-    this.onBuzzWinner(gameId, questionId, winner);
+    this.onBuzzWinner(game.id, questionId, winner, { fromQueue: !!details.fromQueue });
+  }
+
+  this.startAnswerTimer(game, questionId, winner.buzzerID);
+}
+
+/**
+ * ⭐ Démarrer le temps de réponse du gagnant d'un buzz (settings.answerDuration)
+ */
+startAnswerTimer(game, questionId, buzzerID) {
+  this.clearAnswerTimer(game);
+  game.answerDeadline = null;
+
+  const duration = game.settings.answerDuration ?? config.game.answerDuration;
+  if (!(duration > 0)) return null;
+
+  game.answerDeadline = Date.now() + duration;
+  this.armAnswerTimer(game.id, duration);
+  this.saveGameState(game.id);
+
+  this.logEvent(game.id, 'ANSWER_TIMER_STARTED', {
+    questionId,
+    buzzerID,
+    duration,
+    deadline: game.answerDeadline,
+  });
+  logger.info(`Answer timer started for ${buzzerID}: ${duration}ms`);
+
+  return { duration, deadline: game.answerDeadline };
+}
+
+/**
+ * Programmer l'expiration du temps de réponse et les décomptes (settings.tickInterval)
+ */
+armAnswerTimer(gameId, delay) {
+  const game = this.getGame(gameId);
+  const interval = game.settings.tickInterval ?? config.game.tickInterval;
+
+  const tick = () => {
+    if (this.onAnswerTick && game.answerDeadline) {
+      this.onAnswerTick(gameId, {
+        questionId: game.timedQuestionId,
+        buzzerID: game.currentQuestionWinner,
+        remainingTime: Math.max(0, game.answerDeadline - Date.now()),
+        deadline: game.answerDeadline,
+      });
+    }
+  };
+
+  tick();
+  if (interval > 0) {
+    game.answerTickTimer = setInterval(tick, interval);
+  }
+  game.answerTimer = setTimeout(() => {
+    game.answerTimer = null;
+    try {
+      this.expireAnswer(gameId, game.timedQuestionId, game.currentQuestionWinner);
+    } catch (err) {
+      logger.error(`Answer timeout error in game ${gameId}: ${err.message}`);
+    }
+  }, Math.max(0, delay));
+}
+
+/**
+ * Annuler le temps de réponse en cours (validation, pause, changement de question)
+ */
+clearAnswerTimer(game) {
+  if (game.answerTimer) {
+    clearTimeout(game.answerTimer);
+    game.answerTimer = null;
+  }
+  if (game.answerTickTimer) {
+    clearInterval(game.answerTickTimer);
+    game.answerTickTimer = null;
+  }
+}
+
+/**
+ * ⭐ Temps de réponse écoulé : le buzz compte comme une mauvaise réponse
+ * (même traitement que BUZZ_REOPEN), sauf si l'animateur l'a déjà validé
+ */
+expireAnswer(gameId, questionId, buzzerID) {
+  const game = this.getGame(gameId);
+  this.clearAnswerTimer(game);
+
+  if (game.phase !== PHASES.BUZZ_LOCKED || !buzzerID || game.currentQuestionWinner !== buzzerID) {
+    return null;
   }
+
+  game.answerDeadline = null;
+  this.logEvent(gameId, 'ANSWER_TIME_EXPIRED', { questionId, buzzerID });
+  logger.info(`Answer time expired for ${buzzerID} on question ${questionId}`);
+
+  if (this.onAnswerTimeout) {
+    // Le serveur WebSocket redonne la main (handleBuzzReopen)
+    this.onAnswerTimeout(gameId, questionId, buzzerID);
+  } else {
+    this.validateBuzz(gameId, questionId, buzzerID, false);
+    this.excludePlayer(gameId, questionId, buzzerID);
+    this.passBuzzToNext(gameId, questionId);
+  }
+
+  return { questionId, buzzerID };
+}
+
+/**
+ * ⭐ File des buzzes (settings.buzzQueue) : après une mauvaise réponse, donner la main
+ * au suivant dans l'ordre d'origine, sans nouvelle course. Retourne le nouveau gagnant
+ * ou null si la file est épuisée (les buzzers sont alors rouverts normalement).
+ */
+passBuzzToNext(gameId, questionId) {
+  const game = this.getGame(gameId);
+
+  if (!game.settings.buzzQueue || game.phase !== PHASES.QUESTION_OPEN) return null;
+
+  const next = (game.buzzOrder || []).find(o => !game.currentQuestionExcluded.has(o.buzzerID));
+  if (!next) return null;
+
+  const entry = game.currentQuestionBuzzes.find(b => b.buzzerID === next.buzzerID)
+    || { buzzerID: next.buzzerID, questionId, responseTime: next.responseTime, processed: true };
+
+  this.setBuzzWinner(game, questionId, entry, { fromQueue: true, rank: next.rank });
+  return entry;
 }
 
 /**
@@ -505,8 +2791,20 @@ validateBuzz(gameId, questionId, buzzerID, isCorrect) {
   const game = this.getGame(gameId);
   const db = databaseService.getDb();
 
+  gameState.assertPhase(game, [PHASES.BUZZ_LOCKED], 'validate a buzz');
+
+  // Seul le gagnant du buzz en attente peut être validé (une seule fois)
+  if (!buzzerID || buzzerID !== game.currentQuestionWinner) {
+    throw new gameState.GameStateError(
+      `Cannot validate a buzz from ${buzzerID}: current buzz winner is ${game.currentQuestionWinner || 'none'}`
+    );
+  }
+
+  // L'animateur a tranché : le temps de réponse s'arrête
+  this.clearAnswerTimer(game);
+  game.answerDeadline = null;
+
   const question = db.prepare('SELECT * FROM questions WHERE id = ?').get(questionId);
-  const points = isCorrect ? (question ? question.points || 10 : 10) : 0;
 
   // Trouver le buzz
   const buzzEntry = game.currentQuestionBuzzes
@@ -514,9 +2812,22 @@ validateBuzz(gameId, questionId, buzzerID, isCorrect) {
     : null;
   const responseTime = buzzEntry ? buzzEntry.responseTime : 0;
 
+  // ⭐ Calculer les points selon la stratégie de la partie (pénalité possible)
+  const player = game.players.get(buzzerID);
+  const points = scoringService.computePoints(game.settings, {
+    basePoints: question ? question.points || 10 : 10,
+    isCorrect,
+    isBuzz: true,
+    responseTime,
+    duration: this.getQuestionDuration(game, 'BUZZER'),
+    streak: player ? player.streak || 0 : 0,
+    isFirstCorrect: false,
+  });
+
   // Enregistrer dans la BDD
+  let resultId = null;
   try {
-    db.prepare(`
+    const info = db.prepare(`
       INSERT INTO game_results (
         game_id, question_id, buzzer_id, answer, is_correct,
         response_time, timestamp_local_action, timestamp_synced_action,
@@ -534,18 +2845,19 @@ validateBuzz(gameId, questionId, buzzerID, isCorrect) {
       buzzEntry && buzzEntry.timestamps ? buzzEntry.timestamps.calibrated_latency : null,
       points
     );
+    resultId = info.lastInsertRowid;
   } catch (err) {
     logger.error(`Error saving buzz result: ${err.message}`);
   }
 
   // Mettre à jour le score du joueur
-  const player = game.players.get(buzzerID);
   if (player) {
     player.score += points;
     player.totalAnswers += 1;
     if (isCorrect) {
       player.correctAnswers += 1;
     }
+    player.streak = isCorrect ? (player.streak || 0) + 1 : 0;
     player.totalResponseTime += responseTime;
 
     if (responseTime < player.fastestResponseTime) {
@@ -556,7 +2868,63 @@ validateBuzz(gameId, questionId, buzzerID, isCorrect) {
     }
   }
 
-  return { isCorrect, points, responseTime };
+  // Bonne réponse : la question est résolue, on passe à la révélation
+  if (isCorrect) {
+    this.clearQuestionTimer(game);
+    game.questionOpen = false;
+    game.questionRemaining = null;
+    gameState.transition(game, 'resolveBuzz');
+    this.saveBuzzOrder(game, questionId);
+    this.notifyQuestionClosed(game, questionId, 'buzz-correct');
+    this.scheduleAutoPlay(gameId, game.settings.revealDelay ?? config.game.revealDelay);
+  } else if (game.buzzOrder && game.buzzOrder.length > 0) {
+    rankingService.saveRanks(gameId, questionId, game.buzzOrder);
+  }
+  this.saveGameState(gameId);
+  this.logEvent(gameId, 'BUZZ_VALIDATED', { questionId, buzzerID, isCorrect, points, responseTime, resultId });
+
+  return { isCorrect, points, responseTime, resultId };
+}
+
+/**
+ * ⭐ Enregistrer l'ordre complet des buzzes dans game_results.rank (question résolue)
+ * Les joueurs classés sans résultat reçoivent une ligne "sans réponse" pour garder leur rang.
+ */
+saveBuzzOrder(game, questionId) {
+  if (!game.buzzOrder || game.buzzOrder.length === 0) return;
+
+  const db = databaseService.getDb();
+  const withResult = new Set(
+    db.prepare(`
+      SELECT buzzer_id FROM game_results
+      WHERE game_id = ? AND question_id = ?
+    `).all(game.id, questionId).map(r => r.buzzer_id)
+  );
+
+  const insertNoAnswer = db.prepare(`
+    INSERT INTO game_results (game_id, question_id, buzzer_id, answer, is_correct, response_time, points)
+    VALUES (?, ?, ?, NULL, 0, NULL, 0)
+  `);
+
+  try {
+    db.transaction(() => {
+      game.buzzOrder
+        // Le gagnant d'un buzz en attente de validation aura sa ligne à la validation
+        .filter(o => !withResult.has(o.buzzerID) && o.buzzerID !== game.currentQuestionWinner)
+        .forEach(o => insertNoAnswer.run(game.id, questionId, o.buzzerID));
+    })();
+    rankingService.saveRanks(game.id, questionId, game.buzzOrder);
+  } catch (err) {
+    logger.error(`Error saving buzz order: ${err.message}`);
+  }
+}
+
+/**
+ * Ordre des buzzes de la question en cours [{ buzzerID, rank, responseTime, compensatedTimestamp }]
+ */
+getBuzzOrder(gameId) {
+  const game = this.getGame(gameId);
+  return game.buzzOrder || [];
 }
 
 /**
@@ -570,8 +2938,29 @@ excludePlayer(gameId, questionId, buzzerID) {
   }
 
   game.currentQuestionExcluded.add(buzzerID);
+
+  // ⭐ Exclure aussi les coéquipiers si l'option est activée
+  const player = game.players.get(buzzerID);
+  if (game.settings.excludeTeammates && player && player.teamId) {
+    game.players.forEach((p) => {
+      if (p.teamId === player.teamId) {
+        game.currentQuestionExcluded.add(p.buzzerID);
+      }
+    });
+  }
+
   game.buzzerLocked = false;
   game.currentQuestionWinner = null;
+  if (game.phase === PHASES.BUZZ_LOCKED) {
+    gameState.transition(game, 'reopenBuzz');
+    this.resumeQuestionTimer(game);
+  }
+  this.saveGameState(gameId);
+  this.logEvent(gameId, 'PLAYER_EXCLUDED', {
+    questionId,
+    buzzerID,
+    excludedPlayers: Array.from(game.currentQuestionExcluded),
+  });
 
   logger.info(`Player ${buzzerID} excluded for question ${questionId}`);
 }
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const databaseService = require('./database.service');
+const logger = require('../utils/logger');
+
+// Types MIME acceptés → nature du média et extension du fichier stocké
+const MEDIA_TYPES = {
+  'image/jpeg': { kind: 'image', ext: 'jpg' },
+  'image/png': { kind: 'image', ext: 'png' },
+  'image/gif': { kind: 'image', ext: 'gif' },
+  'image/webp': { kind: 'image', ext: 'webp' },
+  'audio/mpeg': { kind: 'audio', ext: 'mp3' },
+  'audio/wav': { kind: 'audio', ext: 'wav' },
+  'audio/x-wav': { kind: 'audio', ext: 'wav' },
+  'audio/ogg': { kind: 'audio', ext: 'ogg' },
+};
+
+/**
+ * Erreur de validation d'un média (code HTTP associé)
+ */
+class MediaError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MediaError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Médias des questions (images, extraits audio)
+ *
+ * Les fichiers sont stockés dans config.media.dir, la table question_media
+ * fait le lien avec la question.
+ */
+class MediaService {
+  /**
+   * Dossier de stockage (créé au besoin)
+   */
+  getMediaDir() {
+    const dir = path.resolve(config.media.dir);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+  }
+
+  /**
+   * ⭐ Enregistrer un média envoyé pour une question
+   * options = { originalName, duration (ms), streamToBuzzers }
+   */
+  saveMedia(questionId, buffer, mimeType, options = {}) {
+    const mime = (mimeType || '').split(';')[0].trim().toLowerCase();
+    const type = MEDIA_TYPES[mime];
+    if (!type) {
+      throw new MediaError(`Unsupported media type: ${mimeType} (allowed: ${Object.keys(MEDIA_TYPES).join(', ')})`, 415);
+    }
+
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw new MediaError('Media body is empty');
+    }
+
+    const db = databaseService.getDb();
+    const question = db.prepare('SELECT id FROM questions WHERE id = ?').get(questionId);
+    if (!question) {
+      throw new MediaError('Question not found', 404);
+    }
+
+    const streamToBuzzers = !!options.streamToBuzzers;
+    if (streamToBuzzers && type.kind !== 'audio') {
+      throw new MediaError('Only audio media can be streamed to buzzers');
+    }
+
+    const fileName = `q${questionId}_${uuidv4()}.${type.ext}`;
+    const filePath = path.join(this.getMediaDir(), fileName);
+    fs.writeFileSync(filePath, buffer);
+
+    try {
+      const info = db.prepare(`
+        INSERT INTO question_media (
+          question_id, kind, mime_type, file_name, original_name, size, duration, stream_to_buzzers
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        questionId,
+        type.kind,
+        mime,
+        fileName,
+        options.originalName || null,
+        buffer.length,
+        options.duration || null,
+        streamToBuzzers ? 1 : 0
+      );
+
+      logger.info(`Media ${info.lastInsertRowid} (${type.kind}, ${buffer.length} bytes) added to question ${questionId}`);
+      return this.getMedia(info.lastInsertRowid);
+    } catch (err) {
+      this.removeFile(fileName);
+      throw err;
+    }
+  }
+
+  getMedia(mediaId) {
+    return databaseService.getDb()
+      .prepare('SELECT * FROM question_media WHERE id = ?')
+      .get(mediaId) || null;
+  }
+
+  listMedia(questionId) {
+    return databaseService.getDb()
+      .prepare('SELECT * FROM question_media WHERE question_id = ? ORDER BY id')
+      .all(questionId);
+  }
+
+  /**
+   * Chemin absolu du fichier d'un média
+   */
+  getFilePath(media) {
+    return path.join(this.getMediaDir(), path.basename(media.file_name));
+  }
+
+  /**
+   * ⭐ Références envoyées aux clients (QUESTION_START, QUESTION_SENT)
+   */
+  getMediaRefs(questionId) {
+    return this.listMedia(questionId).map(m => ({
+      id: m.id,
+      kind: m.kind,
+      mimeType: m.mime_type,
+      name: m.original_name,
+      size: m.size,
+      duration: m.duration,
+      url: `/api/questions/${questionId}/media/${m.id}/file`,
+      streamToBuzzers: !!m.stream_to_buzzers,
+    }));
+  }
+
+  /**
+   * Supprimer un média (fichier + ligne)
+   */
+  deleteMedia(questionId, mediaId) {
+    const media = this.getMedia(mediaId);
+    if (!media || media.question_id !== Number(questionId)) {
+      return false;
+    }
+
+    databaseService.getDb().prepare('DELETE FROM question_media WHERE id = ?').run(mediaId);
+    this.removeFile(media.file_name);
+
+    logger.info(`Media ${mediaId} deleted from question ${questionId}`);
+    return true;
+  }
+
+  /**
+   * Supprimer tous les médias d'une question (suppression de la question)
+   */
+  deleteQuestionMedia(questionId) {
+    const media = this.listMedia(questionId);
+
+    databaseService.getDb().prepare('DELETE FROM question_media WHERE question_id = ?').run(questionId);
+    media.forEach(m => this.removeFile(m.file_name));
+
+    if (media.length > 0) {
+      logger.info(`${media.length} media deleted with question ${questionId}`);
+    }
+    return media.length;
+  }
+
+  removeFile(fileName) {
+    try {
+      fs.unlinkSync(path.join(this.getMediaDir(), path.basename(fileName)));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.error(`Error deleting media file ${fileName}: ${err.message}`);
+      }
+    }
+  }
+}
+
+// Singleton
+const mediaService = new MediaService();
+
+module.exports = mediaService;
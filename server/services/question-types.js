@@ -0,0 +1,16 @@
+/**
+ * Types de questions acceptés (contrainte CHECK de questions.type et validation des routes)
+ */
+const QUESTION_TYPES = [
+  'MCQ',
+  'BUZZER',
+  'TEXT',         // réponse libre comparée à expected_answer / alternative_answers
+  'TRUE_FALSE',   // correct_answer : 1 (vrai) ou 0 (faux)
+  'NUMERIC',      // estimation : expected_answer numérique, l'estimation la plus proche gagne
+  'ORDERING',     // answers dans le bon ordre, crédit partiel par position
+  'MULTI_SELECT', // answers + correct_answers (tableau JSON d'index)
+];
+
+module.exports = {
+  QUESTION_TYPES,
+};
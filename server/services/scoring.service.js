@@ -0,0 +1,105 @@
+const logger = require('../utils/logger');
+
+/**
+ * Réglages par défaut (surchargés par settings.scoring de la partie)
+ */
+const DEFAULT_SCORING = {
+  strategy: 'fixed',       // 'fixed' | 'linear-decay' | 'exponential-decay'
+  minPointsRatio: 0.25,    // plancher des stratégies à décroissance (fraction des points)
+  decayRate: 3,            // vitesse de décroissance exponentielle
+  wrongBuzzPenalty: 0,     // points retirés pour une mauvaise réponse au buzzer
+  streakBonus: 0,          // +x au multiplicateur par bonne réponse consécutive (ex: 0.1)
+  maxStreakMultiplier: 2,  // multiplicateur maximal de série
+  firstCorrectBonus: 0,    // bonus pour la première bonne réponse d'un QCM
+};
+
+class ScoringService {
+  constructor() {
+    // Stratégies de points : (basePoints, ratio temps écoulé [0..1], options) → points
+    this.strategies = new Map();
+
+    this.registerStrategy('fixed', (basePoints) => basePoints);
+
+    this.registerStrategy('linear-decay', (basePoints, elapsedRatio, options) => {
+      const ratio = Math.max(options.minPointsRatio, 1 - elapsedRatio);
+      return basePoints * ratio;
+    });
+
+    this.registerStrategy('exponential-decay', (basePoints, elapsedRatio, options) => {
+      const ratio = Math.max(options.minPointsRatio, Math.exp(-options.decayRate * elapsedRatio));
+      return basePoints * ratio;
+    });
+  }
+
+  /**
+   * Ajouter une stratégie de calcul des points
+   */
+  registerStrategy(name, fn) {
+    this.strategies.set(name, fn);
+  }
+
+  /**
+   * Fusionner les réglages de la partie avec les valeurs par défaut
+   */
+  getOptions(settings = {}) {
+    return { ...DEFAULT_SCORING, ...(settings.scoring || {}) };
+  }
+
+  /**
+   * ⭐ Calculer les points d'une réponse
+   *
+   * context = {
+   *   basePoints,      // question.points
+   *   isCorrect,
+   *   isBuzz,          // réponse au buzzer (pénalité possible si fausse)
+   *   responseTime,    // ms depuis le début de la question
+   *   duration,        // durée de la question en ms
+   *   streak,          // bonnes réponses consécutives AVANT celle-ci
+   *   isFirstCorrect,  // première bonne réponse à ce QCM
+   *   credit,          // crédit partiel [0..1] (ORDERING, MULTI_SELECT), 1 par défaut
+   * }
+   */
+  computePoints(settings, context) {
+    const options = this.getOptions(settings);
+    const credit = context.credit ?? 1;
+
+    if (!context.isCorrect && !(context.credit > 0)) {
+      return context.isBuzz && options.wrongBuzzPenalty
+        ? -Math.abs(options.wrongBuzzPenalty)
+        : 0;
+    }
+
+    let strategy = this.strategies.get(options.strategy);
+    if (!strategy) {
+      logger.warn(`Unknown scoring strategy "${options.strategy}", using fixed`);
+      strategy = this.strategies.get('fixed');
+    }
+
+    const elapsedRatio = context.duration > 0
+      ? Math.min(1, Math.max(0, context.responseTime / context.duration))
+      : 0;
+
+    let points = strategy(context.basePoints, elapsedRatio, options) * credit;
+
+    // Multiplicateur de série
+    if (context.isCorrect && options.streakBonus > 0 && context.streak > 0) {
+      const multiplier = Math.min(
+        options.maxStreakMultiplier,
+        1 + options.streakBonus * context.streak
+      );
+      points *= multiplier;
+    }
+
+    // Bonus du premier correct en QCM
+    if (context.isCorrect && context.isFirstCorrect && !context.isBuzz) {
+      points += options.firstCorrectBonus;
+    }
+
+    return Math.round(points);
+  }
+}
+
+// Singleton
+const scoringService = new ScoringService();
+
+module.exports = scoringService;
@@ -1,16 +1,57 @@
 const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
+const authService = require('../services/auth.service');
+const eventLogService = require('../services/event-log.service');
+const mediaService = require('../services/media.service');
+const { PHASES } = require('../services/game-state');
 const logger = require('../utils/logger');
 
+// Messages de l'hôte Angular relayés aux écrans d'affichage (DISPLAY_CONNECT) : type → filtre du payload
+// (tout autre message reste réservé à l'hôte : erreurs, corrections, réponses à valider…)
+const DISPLAY_FEED = {
+  BUZZ_WINNER: p => ({
+    gameId: p.gameId,
+    questionId: p.questionId,
+    buzzerID: p.buzzerID,
+    playerName: p.playerName,
+    responseTime: p.responseTime,
+  }),
+  BUZZ_VALIDATED: p => ({ gameId: p.gameId, buzzerID: p.buzzerID, isCorrect: p.isCorrect, points: p.points }),
+  BUZZ_REOPENED: p => ({ gameId: p.gameId, excludedPlayers: p.excludedPlayers }),
+  BUZZ_FALSE_START: p => ({ gameId: p.gameId, questionId: p.questionId, buzzerID: p.buzzerID }),
+  ANSWER_RECEIVED: p => ({ gameId: p.gameId, questionId: p.questionId, buzzerID: p.buzzerID }), // sans la réponse
+  QUESTION_PROGRESS: p => ({ gameId: p.gameId, questionId: p.questionId, players: p.players, answered: p.answered }),
+  ALL_PLAYERS_ANSWERED: p => ({ gameId: p.gameId, questionId: p.questionId }),
+  QUESTION_TIMEOUT: p => ({ gameId: p.gameId, questionId: p.questionId, reason: p.reason }),
+  QUESTION_TICK: p => p,
+  QUESTION_CLOSED: p => p,
+  ANSWER_TICK: p => p,
+  ANSWER_TIMEOUT: p => p,
+  QUESTION_CHANGED: p => p,
+  ESTIMATE_RANKING: p => p,
+  RANKING_UPDATE: p => p,
+  PLAYER_ENROLLED: p => p,
+  GAME_PAUSED: p => p,
+  GAME_RESUMED: p => p,
+  GAME_ENDED: p => p,
+  GAME_OVER: p => p,
+  JINGLE_STARTED: p => ({ buzzerID: p.buzzerID, jingleId: p.jingleId, name: p.name }),
+  JINGLE_COMPLETED: p => ({ buzzerID: p.buzzerID, jingleId: p.jingleId }),
+};
+
 class WebSocketServer {
   constructor(httpServer) {
     this.wss = new WebSocket.Server({ server: httpServer });
-    this.angularClient = null;
+    this.angularClient = null; // hôte Angular hors salle (mode une seule scène)
     this.buzzerClients = new Map(); // buzzerID → { ws, info }
+    this.rooms = new Map(); // roomCode → { code, gameId, host, buzzers: Set<buzzerID>, createdAt }
+    this.defaultGameId = null; // partie lancée par l'hôte par défaut (hors salle)
     this.db = null;
     this.gameService = null;
     this.activeJingleStreams = new Set(); // buzzerID values currently receiving a jingle
+    this.displayClients = new Set(); // écrans d'affichage (lecture seule)
+    this.displayQuestions = new Map(); // gameID → { question, reveal } affichés en cours
 
     this.setupServer();
     logger.info('WebSocket server ready');
@@ -25,7 +66,7 @@ class WebSocketServer {
 
     // Callback quand un gagnant de buzz est déterminé
     if (this.gameService) {
-      this.gameService.onBuzzWinner = (gameId, questionId, winner) => {
+      this.gameService.onBuzzWinner = (gameId, questionId, winner, info = {}) => {
         logger.info(`[Buzz] Winner callback: ${winner.buzzerID} (${winner.responseTime}ms)`);
 
         // Bloquer tous les buzzers
@@ -34,6 +75,7 @@ class WebSocketServer {
           questionId,
           winnerID: winner.buzzerID,
         });
+        this.logEvent(gameId, 'BUZZERS_LOCKED', { questionId, winnerID: winner.buzzerID });
 
         // Notifier Angular
         const buzzerData = this.buzzerClients.get(winner.buzzerID);
@@ -45,7 +87,228 @@ class WebSocketServer {
           questionId,
           gameId,
           responseTime: winner.responseTime,
+          buzzOrder: this.gameService.getBuzzOrder(gameId), // pour redonner la main au suivant
+          fromQueue: !!info.fromQueue, // main passée par la file des buzzes (settings.buzzQueue)
+        });
+      };
+
+      // ⭐ Décompte de la question ouverte en heure serveur (corrige la dérive des chronos locaux)
+      this.gameService.onQuestionTick = (gameId, tick) => {
+        const payload = { gameId, ...tick };
+        this.getBuzzerIdsForGame(gameId).forEach((buzzerID) => {
+          this.sendToBuzzer(buzzerID, 'QUESTION_TICK', payload);
+        });
+        this.sendToAngular('QUESTION_TICK', payload);
+      };
+
+      // Fin du décompte : chrono écoulé, réponses complètes, révélation ou bon buzz
+      this.gameService.onQuestionClosed = (gameId, questionId, info) => {
+        const payload = { gameId, questionId, remainingTime: 0, ...info };
+        this.broadcastToBuzzers('QUESTION_CLOSED', payload);
+        this.sendToAngular('QUESTION_CLOSED', payload);
+      };
+
+      // Décompte du temps de réponse du gagnant d'un buzz (Angular + gagnant)
+      this.gameService.onAnswerTick = (gameId, tick) => {
+        this.sendToBuzzer(tick.buzzerID, 'ANSWER_TICK', { gameId, ...tick });
+        this.sendToAngular('ANSWER_TICK', { gameId, ...tick });
+      };
+
+      // ⭐ Temps de réponse écoulé : traité comme une mauvaise réponse (BUZZ_REOPEN)
+      this.gameService.onAnswerTimeout = (gameId, questionId, buzzerID) => {
+        this.sendToBuzzer(buzzerID, 'ANSWER_TIMEOUT', { gameId, questionId });
+        this.sendToAngular('ANSWER_TIMEOUT', { gameId, questionId, buzzerID });
+        this.handleBuzzReopen({ payload: { gameId, questionId, buzzerID } });
+      };
+
+      // Callback quand le temps d'une question est écoulé
+      this.gameService.onQuestionTimeout = (gameId, questionId, result) => {
+        logger.info(`[Game] Question ${questionId} timed out`);
+
+        this.broadcastToBuzzers('QUESTION_TIMEOUT', { gameId, questionId });
+
+        this.sendToAngular('QUESTION_TIMEOUT', {
+          gameId,
+          questionId,
+          noAnswer: result.noAnswer,
+          reason: result.reason,
+        });
+      };
+
+      // Compteur de réponses en direct (réponse reçue ou annulée)
+      this.gameService.onQuestionProgress = (gameId, progress) => {
+        this.sendToAngular('QUESTION_PROGRESS', progress);
+      };
+
+      // Tout le monde a répondu : l'animateur peut révéler sans attendre le chrono
+      this.gameService.onAllPlayersAnswered = (gameId, questionId, progress) => {
+        this.sendToAngular('ALL_PLAYERS_ANSWERED', {
+          gameId,
+          questionId,
+          answered: progress.answered,
+          averageResponseTime: progress.averageResponseTime,
+          autoPlay: !!this.gameService.getGame(gameId).settings.autoPlay,
+        });
+      };
+
+      // ⭐ Révélation de la réponse (fermeture de la question, buzz validé ou ordre de l'animateur)
+      this.gameService.onAnswerRevealed = (gameId, reveal) => {
+        this.sendToAngular('ANSWER_REVEAL', reveal);
+
+        // Buzzers et écrans : bonne réponse seulement si settings.showCorrectAnswer
+        const game = this.gameService.activeGames.get(gameId);
+        const publicReveal = game && game.settings.showCorrectAnswer === false
+          ? { ...reveal, correctAnswer: null }
+          : reveal;
+
+        this.getBuzzerIdsForGame(gameId).forEach((buzzerID) => {
+          this.sendToBuzzer(buzzerID, 'ANSWER_REVEAL', {
+            gameId,
+            questionId: reveal.questionId,
+            questionType: reveal.questionType,
+            correctAnswer: publicReveal.correctAnswer,
+            distribution: reveal.distribution,
+            results: reveal.results.filter(r => r.buzzerID === buzzerID),
+          });
+        });
+
+        const current = this.displayQuestions.get(gameId);
+        if (current && current.question.id === reveal.questionId) {
+          current.reveal = publicReveal;
+        }
+        this.sendToDisplays('ANSWER_REVEAL', publicReveal, gameId);
+        this.sendToDisplays('RANKING_UPDATE', { gameId, ranking: this.gameService.getRanking(gameId) }, gameId);
+
+        // Classement intermédiaire personnel (settings.showIntermediateRanking)
+        if (game && game.settings.showIntermediateRanking) {
+          this.sendStandingsToBuzzers(gameId, 'RANKING_UPDATE', { questionId: reveal.questionId });
+        }
+      };
+
+      // Callback quand l'animateur corrige ou annule un résultat
+      this.gameService.onResultAmended = (gameId, result) => {
+        this.sendToBuzzer(result.buzzerID, 'SCORE_CORRECTED', {
+          questionId: result.questionId,
+          isCorrect: result.isCorrect,
+          points: result.points,
+          undone: result.undone,
+        });
+
+        this.sendToAngular('RESULT_AMENDED', { gameId, ...result });
+        this.sendRankingToAngular(gameId);
+      };
+
+      // Callback quand les estimations d'une question NUMERIC sont classées
+      this.gameService.onQuestionGraded = (gameId, questionId, result) => {
+        result.ranking.forEach((r) => {
+          this.sendToBuzzer(r.buzzerID, 'ANSWER_RESULT', {
+            questionId,
+            isCorrect: r.isCorrect,
+            points: r.points,
+            responseTime: r.responseTime,
+            rank: r.rank,
+            distance: r.distance,
+            correctAnswer: result.correctAnswer,
+          });
+        });
+
+        this.sendToAngular('ESTIMATE_RANKING', { gameId, questionId, ...result });
+        this.sendRankingToAngular(gameId);
+      };
+
+      // Callback quand une réponse TEXT limite doit être validée par l'animateur
+      this.gameService.onAnswerReview = (gameId, review) => {
+        this.sendToAngular('ANSWER_REVIEW_REQUEST', { gameId, ...review });
+      };
+
+      // Callback quand l'animateur a tranché sur une réponse limite
+      this.gameService.onReviewResolved = (gameId, result) => {
+        // Question encore ouverte : le verdict arrivera avec ANSWER_REVEAL
+        const game = this.gameService.activeGames.get(gameId);
+        const questionOpen = game && game.questionOpen && game.timedQuestionId === result.questionId;
+        if (!questionOpen) {
+          this.sendToBuzzer(result.buzzerID, 'ANSWER_REVIEWED', {
+            questionId: result.questionId,
+            approved: result.approved,
+            points: result.points,
+          });
+        }
+
+        this.sendToAngular('ANSWER_REVIEWED', { gameId, ...result });
+      };
+
+      // Callback quand un bonus / une pénalité manuelle est ajouté(e)
+      this.gameService.onScoreAdjusted = (gameId, adjustment) => {
+        this.sendToBuzzer(adjustment.buzzer_id, 'SCORE_ADJUSTED', {
+          amount: adjustment.amount,
+          reason: adjustment.reason,
         });
+
+        this.sendToAngular('SCORE_ADJUSTED', { gameId, adjustment });
+        this.sendRankingToAngular(gameId);
+      };
+
+      // Callback quand un joueur est renommé (REST ou WebSocket)
+      this.gameService.onPlayerRenamed = (gameId, buzzerID, newName) => {
+        const buzzerData = this.buzzerClients.get(buzzerID);
+        if (buzzerData) {
+          buzzerData.info.name = newName;
+          this.sendToBuzzer(buzzerID, 'PLAYER_NAME_UPDATE', { name: newName });
+        }
+      };
+
+      // Callback quand l'animateur change de question (skip, retour, saut)
+      this.gameService.onQuestionChanged = (gameId, result) => {
+        this.displayQuestions.delete(gameId);
+        this.sendToAngular('QUESTION_CHANGED', { gameId, ...result });
+
+        if (result.resultsCleared) {
+          this.sendRankingToAngular(gameId);
+        }
+      };
+
+      // Démarrage (REST ou WebSocket) : partie de l'hôte par défaut si elle n'a pas de salle,
+      // inscription des buzzers déjà connectés
+      this.gameService.onGameStarted = (gameId) => {
+        if (!this.getRoomByGameId(gameId)) {
+          this.defaultGameId = gameId;
+        }
+        this.getBuzzerIdsForGame(gameId).forEach((buzzerID) => {
+          this.autoEnrollBuzzer(gameId, buzzerID);
+        });
+      };
+
+      // Callbacks pause / reprise (déclenchés par REST ou WebSocket)
+      this.gameService.onGamePaused = (gameId, result) => {
+        this.broadcastToBuzzers('GAME_PAUSED', { gameId });
+        this.sendToAngular('GAME_PAUSED', result, gameId);
+      };
+
+      this.gameService.onGameResumed = (gameId, result) => {
+        this.broadcastToBuzzers('GAME_RESUMED', result, gameId);
+        this.sendToAngular('GAME_RESUMED', result, gameId);
+      };
+
+      // Fin de partie (REST, navigation ou mode automatique)
+      this.gameService.onGameEnded = (gameId) => {
+        this.displayQuestions.delete(gameId);
+        this.broadcastToBuzzers('GAME_ENDED', { gameId });
+        this.sendToAngular('GAME_ENDED', { gameId });
+
+        // Podium final : chaque buzzer reçoit aussi sa place
+        const standings = this.sendStandingsToBuzzers(gameId, 'GAME_OVER');
+        if (standings) {
+          this.sendToAngular('GAME_OVER', {
+            gameId,
+            podium: standings.top,
+            totalPlayers: standings.totalPlayers,
+          });
+        }
+      };
+
+      // Mode automatique : le serveur envoie lui-même la question suivante
+      this.gameService.onAutoPlayQuestion = (gameId, questionId) => {
+        this.handleQuestionSend({ payload: { gameId, questionId } });
       };
     }
 
@@ -128,6 +391,13 @@ class WebSocketServer {
           this.handleBuzzerRegistration(ws, message);
           break;
 
+        case 'DISPLAY_CONNECT':
+          ws._identified = true;
+          ws._clientType = 'display';
+          clearTimeout(identificationTimeout);
+          this.handleDisplayConnection(ws, message);
+          break;
+
         default:
           this.handlePreIdentificationMessage(ws, message);
           break;
@@ -137,6 +407,8 @@ class WebSocketServer {
         this.handleAngularMessage(ws, message);
       } else if (ws._clientType === 'buzzer') {
         this.handleBuzzerMessage(ws._buzzerID, ws, message);
+      } else if (ws._clientType === 'display') {
+        this.handleDisplayMessage(ws, message);
       }
     }
   }
@@ -175,26 +447,129 @@ class WebSocketServer {
    * Connexion Angular
    */
   handleAngularConnection(ws, message) {
-    this.angularClient = ws;
-    logger.info('[WebSocket] Angular connected');
+    const { token, gameId, roomCode, takeover } = message.payload || {};
+
+    // JWT optionnel : requis pour les actions auditées (ajustements de score)
+    ws._user = token ? authService.verifyJWT(token) : null;
+
+    // Salle : rejoindre par code, ou par partie (créée si besoin) ; sinon hôte par défaut
+    let room = null;
+    try {
+      if (roomCode) {
+        room = this.rooms.get(roomCode) || null;
+        if (!room) {
+          this.sendToClient(ws, 'ERROR', { message: `Room ${roomCode} not found` });
+        } else {
+          room = this.claimRoom(ws, room.gameId, takeover);
+        }
+      } else if (gameId) {
+        room = this.claimRoom(ws, gameId, takeover);
+      }
+    } catch (err) {
+      logger.warn(`[WebSocket] Angular rejected: ${err.message}`);
+      this.sendToClient(ws, 'CONNECTION_REJECTED', { reason: err.message });
+      ws.close(4004, 'Game already has a host');
+      return;
+    }
+
+    if (room) {
+      room.host = ws;
+      ws._roomCode = room.code;
+    } else {
+      this.angularClient = ws;
+    }
+
+    logger.info(
+      `[WebSocket] Angular connected${ws._user ? ` (${ws._user.username})` : ''}` +
+      `${room ? ` as host of room ${room.code}` : ''}`
+    );
 
     this.sendToClient(ws, 'CONNECTED', {
       sessionID: 'session_' + Date.now().toString(36),
       serverTime: Date.now(),
       config: { maxBuzzers: 10, version: '1.0.0' },
+      room: room ? { code: room.code, gameId: room.gameId } : null,
     });
 
     // ⭐ Envoyer immédiatement la liste des buzzers déjà connectés
-    this.sendBuzzerListToAngular();
+    this.sendBuzzerListToAngular(room);
+
+    this.logConnectionStatus();
+  }
+
+  /**
+   * ⭐ Connexion d'un écran d'affichage (projecteur, overlay de stream) : lecture seule
+   * payload = { roomCode } ou { gameId } ; sinon suit la partie de l'hôte par défaut
+   */
+  handleDisplayConnection(ws, message) {
+    const { gameId, roomCode } = message.payload || {};
+
+    let room = null;
+    if (roomCode) {
+      room = this.rooms.get(roomCode) || null;
+      if (!room) {
+        this.sendToClient(ws, 'ERROR', { message: `Room ${roomCode} not found` });
+      }
+    } else if (gameId) {
+      room = this.getRoomByGameId(gameId);
+    }
+
+    ws._roomCode = room ? room.code : null;
+    this.displayClients.add(ws);
+
+    logger.info(`[WebSocket] Display connected${room ? ` to room ${room.code}` : ''}`);
+
+    this.sendToClient(ws, 'DISPLAY_CONNECTED', {
+      serverTime: Date.now(),
+      room: room ? { code: room.code, gameId: room.gameId } : null,
+    });
 
+    this.sendDisplayState(ws);
     this.logConnectionStatus();
   }
 
+  /**
+   * État courant pour un écran qui (re)se connecte : partie, question affichée, classement
+   */
+  sendDisplayState(ws) {
+    const room = ws._roomCode ? this.rooms.get(ws._roomCode) : null;
+    const gameId = room ? room.gameId : this.defaultGameId;
+    const game = this.gameService && gameId ? this.gameService.activeGames.get(gameId) : null;
+
+    if (!game) {
+      this.sendToClient(ws, 'DISPLAY_STATE', { gameId: gameId || null, game: null });
+      return;
+    }
+
+    const current = this.displayQuestions.get(gameId) || null;
+
+    this.sendToClient(ws, 'DISPLAY_STATE', {
+      gameId,
+      game: { name: game.name, phase: game.phase },
+      question: current ? current.question : null,
+      reveal: current ? current.reveal : null,
+      ranking: this.gameService.getRanking(gameId),
+    });
+  }
+
+  /**
+   * Messages d'un écran d'affichage : aucune commande de jeu acceptée
+   */
+  handleDisplayMessage(ws, message) {
+    if (message.type === 'PING' || message.type === 'TIME_SYNC_REQ') {
+      this.handlePreIdentificationMessage(ws, message);
+      return;
+    }
+
+    logger.warn(`[Display] Rejected ${message.type}: display clients are read-only`);
+    this.sendToClient(ws, 'ERROR', { message: 'Display clients are read-only' });
+  }
+
   /**
    * Enregistrement d'un buzzer
    */
   handleBuzzerRegistration(ws, message) {
-    const { buzzerID, macAddress } = message.payload;
+    const { buzzerID, macAddress, roomCode } = message.payload;
 
     // Vérifier doublon
     if (this.buzzerClients.has(buzzerID)) {
@@ -221,23 +596,38 @@ class WebSocketServer {
     this.buzzerClients.set(buzzerID, { ws, info: buzzerInfo });
     logger.info(`[WebSocket] Buzzer registered: ${buzzerID} (#${playerNumber})`);
 
+    // Rejoindre la salle demandée (sinon garder une affectation précédente)
+    if (roomCode && this.rooms.has(roomCode)) {
+      this.moveBuzzerToRoom(buzzerID, this.rooms.get(roomCode));
+    }
+    const room = this.getRoomForBuzzer(buzzerID);
+
     // Répondre au buzzer
     this.sendToClient(ws, 'CONNECTION_ACK', {
       buzzerID,
       name: buzzerInfo.name,
       serverTime: Date.now(),
       playerNumber,
+      roomCode: room ? room.code : null,
+    });
+
+    // ⭐ Inscription automatique dans la partie en cours (restaure le nom si déjà joueur)
+    this.autoEnrollBuzzer(this.getGameIdForBuzzer(buzzerID), buzzerID);
+    this.logEvent(this.getGameIdForBuzzer(buzzerID), 'BUZZER_CONNECTED', {
+      buzzerID,
+      macAddress: buzzerInfo.macAddress,
+      ip: buzzerInfo.ip,
     });
 
-    // Notifier Angular
+    // Notifier l'hôte de la salle
     this.sendToAngular('BUZZER_CONNECTED', {
       buzzer: {
         id: buzzerID,
         name: buzzerInfo.name,
         connectedAt: buzzerInfo.connectedAt,
       },
-      totalBuzzers: this.buzzerClients.size,
-    });
+      totalBuzzers: this.getRoomBuzzerIds(room).length,
+    }, room ? room.gameId : null);
 
     this.logConnectionStatus();
   }
@@ -246,17 +636,32 @@ class WebSocketServer {
    * Déconnexion d'un client
    */
   handleDisconnection(ws, code, reason) {
-    if (ws._clientType === 'angular') {
+    if (ws._clientType === 'display') {
+      logger.info('[WebSocket] Display disconnected');
+      this.displayClients.delete(ws);
+    } else if (ws._clientType === 'angular') {
       logger.info('[WebSocket] Angular disconnected');
-      this.angularClient = null;
+      (ws._replays || []).forEach(id => eventLogService.stopReplay(id));
+      const room = ws._roomCode ? this.rooms.get(ws._roomCode) : null;
+      if (room && room.host === ws) {
+        room.host = null;
+      } else if (this.angularClient === ws) {
+        this.angularClient = null;
+      }
     } else if (ws._clientType === 'buzzer' && ws._buzzerID) {
       logger.info(`[WebSocket] Buzzer ${ws._buzzerID} disconnected (code: ${code})`);
       this.buzzerClients.delete(ws._buzzerID);
 
-      this.sendToAngular('BUZZER_DISCONNECTED', {
+      // Le buzzer reste affecté à sa salle pour une éventuelle reconnexion
+      const room = this.getRoomForBuzzer(ws._buzzerID);
+      this.logEvent(this.getGameIdForBuzzer(ws._buzzerID), 'BUZZER_DISCONNECTED', {
         buzzerID: ws._buzzerID,
-        totalBuzzers: this.buzzerClients.size,
+        code,
       });
+      this.sendToAngular('BUZZER_DISCONNECTED', {
+        buzzerID: ws._buzzerID,
+        totalBuzzers: this.getRoomBuzzerIds(room).length,
+      }, room ? room.gameId : null);
     }
 
     this.logConnectionStatus();
@@ -269,13 +674,32 @@ class WebSocketServer {
   handleAngularMessage(ws, message) {
     logger.info(`[Angular] → ${message.type}`);
 
+    // ⭐ Isolation des salles : refuser toute commande visant la partie d'une autre salle
+    const gameId = message.payload ? message.payload.gameId : undefined;
+    if (gameId !== undefined && message.type !== 'ROOM_CREATE' && !this.canControlGame(ws, gameId)) {
+      this.rejectCommand(ws, message.type, `Game ${gameId} is not controlled by this client`);
+      return;
+    }
+
     switch (message.type) {
       case 'REQUEST_BUZZER_LIST':
-        this.sendBuzzerListToAngular();
+        this.sendBuzzerListToAngular(ws._roomCode ? this.rooms.get(ws._roomCode) : null);
+        break;
+
+      case 'ROOM_CREATE':
+        this.handleRoomCreate(ws, message);
+        break;
+
+      case 'ROOM_ASSIGN_BUZZER':
+        this.handleRoomAssignBuzzer(ws, message);
+        break;
+
+      case 'ROOM_CLOSE':
+        this.handleRoomClose(ws, message);
         break;
 
       case 'PLAYER_RENAME':
-        this.handlePlayerRename(message);
+        this.handlePlayerRename(ws, message);
         break;
 
       case 'QUESTION_SEND':
@@ -286,8 +710,32 @@ class WebSocketServer {
         this.handleGameStart(message);
         break;
 
+      case 'GAME_PAUSE':
+        this.handleGamePause(message);
+        break;
+
+      case 'GAME_RESUME':
+        this.handleGameResume(message);
+        break;
+
+      case 'TEAM_CREATE':
+        this.handleTeamCreate(message);
+        break;
+
+      case 'TEAM_ASSIGN':
+        this.handleTeamAssign(message);
+        break;
+
+      case 'QUESTION_NAVIGATE':
+        this.handleQuestionNavigate(message);
+        break;
+
+      case 'QUESTIONS_REORDER':
+        this.handleQuestionsReorder(message);
+        break;
+
       case 'BUZZER_DISCONNECT':
-        this.handleBuzzerForceDisconnect(message);
+        this.handleBuzzerForceDisconnect(ws, message);
         break;
 
       case 'BUZZ_CORRECT':
@@ -298,8 +746,36 @@ class WebSocketServer {
         this.handleBuzzReopen(message);
         break;
 
+      case 'SCORE_ADJUST':
+        this.handleScoreAdjust(ws, message);
+        break;
+
+      case 'RESULT_AMEND':
+        this.handleResultAmend(message);
+        break;
+
+      case 'RESULT_UNDO':
+        this.handleResultUndo(message);
+        break;
+
+      case 'ANSWER_REVIEW':
+        this.handleAnswerReview(message);
+        break;
+
+      case 'REVEAL_ANSWER':
+        this.handleRevealAnswer(message);
+        break;
+
       case 'JINGLE_PLAY':
-        this.handleJinglePlay(message);
+        this.handleJinglePlay(ws, message);
+        break;
+
+      case 'REPLAY_START':
+        this.handleReplayStart(ws, message);
+        break;
+
+      case 'REPLAY_STOP':
+        this.handleReplayStop(ws, message);
         break;
 
       default:
@@ -308,40 +784,363 @@ class WebSocketServer {
   }
 
   /**
-   * ⭐ Envoyer la liste complète des buzzers connectés à Angular
+   * ⭐ Envoyer la liste des buzzers connectés à l'hôte d'une salle
+   * (room = null : hôte par défaut et buzzers hors salle)
    */
-  sendBuzzerListToAngular() {
-    if (this.buzzerClients.size === 0) {
-      this.sendToAngular('BUZZER_LIST_UPDATE', {
-        buzzers: [],
-        total: 0,
-      });
-      return;
-    }
-
-    const buzzersList = Array.from(this.buzzerClients.entries()).map(([id, data]) => ({
-      id,
-      name: data.info.name,
-      connectedAt: data.info.connectedAt,
-      battery: data.info.battery,
-      wifiRSSI: data.info.wifiRSSI,
-      latency: data.info.latency,
-      connected: true,
-    }));
+  sendBuzzerListToAngular(room = null) {
+    const buzzersList = this.getRoomBuzzerIds(room).map((id) => {
+      const data = this.buzzerClients.get(id);
+      return {
+        id,
+        name: data.info.name,
+        connectedAt: data.info.connectedAt,
+        battery: data.info.battery,
+        wifiRSSI: data.info.wifiRSSI,
+        latency: data.info.latency,
+        connected: true,
+      };
+    });
 
     this.sendToAngular('BUZZER_LIST_UPDATE', {
       buzzers: buzzersList,
       total: buzzersList.length,
-    });
+    }, room ? room.gameId : null);
 
     logger.info(`[WebSocket] Sent buzzer list to Angular: ${buzzersList.length} buzzers`);
   }
 
+  // ═══════════════════════════════════════════════════
+  // SALLES (plusieurs parties simultanées)
+  // ═══════════════════════════════════════════════════
+
+  /**
+   * Créer une salle pour une partie
+   */
+  createRoom(gameId) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code;
+    do {
+      code = Array.from({ length: 4 }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join('');
+    } while (this.rooms.has(code));
+
+    const room = {
+      code,
+      gameId,
+      host: null,
+      buzzers: new Set(),
+      createdAt: Date.now(),
+    };
+    this.rooms.set(code, room);
+
+    logger.info(`[Room] Created room ${code} for game ${gameId}`);
+    return room;
+  }
+
+  getRoomByGameId(gameId) {
+    if (!gameId) return null;
+    for (const room of this.rooms.values()) {
+      if (room.gameId === gameId) return room;
+    }
+    return null;
+  }
+
+  getRoomForBuzzer(buzzerID) {
+    for (const room of this.rooms.values()) {
+      if (room.buzzers.has(buzzerID)) return room;
+    }
+    return null;
+  }
+
+  /**
+   * Buzzers connectés d'une salle (room = null : buzzers hors salle)
+   */
+  getRoomBuzzerIds(room) {
+    if (room) {
+      return Array.from(room.buzzers).filter(id => this.buzzerClients.has(id));
+    }
+    return Array.from(this.buzzerClients.keys()).filter(id => !this.getRoomForBuzzer(id));
+  }
+
+  /**
+   * Buzzers concernés par une partie : ceux de sa salle, sinon ceux hors salle
+   */
+  getBuzzerIdsForGame(gameId) {
+    return this.getRoomBuzzerIds(this.getRoomByGameId(gameId));
+  }
+
+  /**
+   * Déplacer un buzzer dans une salle (room = null : le retirer de toute salle)
+   */
+  moveBuzzerToRoom(buzzerID, room) {
+    this.rooms.forEach(r => r.buzzers.delete(buzzerID));
+    if (room) {
+      room.buzzers.add(buzzerID);
+    }
+    logger.info(`[Room] Buzzer ${buzzerID} → ${room ? room.code : '(no room)'}`);
+  }
+
+  /**
+   * Partie pilotable par un client Angular : celle de sa salle,
+   * ou (hôte par défaut, hors salle) une partie sans salle
+   */
+  canControlGame(ws, gameId) {
+    const room = ws._roomCode ? this.rooms.get(ws._roomCode) : null;
+    if (room) {
+      return room.gameId === gameId;
+    }
+    return !this.getRoomByGameId(gameId);
+  }
+
+  /**
+   * Buzzer pilotable par un client Angular : buzzer d'une salle qu'il pilote,
+   * ou buzzer hors salle si l'hôte par défaut n'a pas de partie en cours
+   */
+  canControlBuzzer(ws, buzzerID) {
+    const room = this.getRoomForBuzzer(buzzerID);
+    if (room) {
+      return this.canControlGame(ws, room.gameId);
+    }
+    return !ws._roomCode || !this.defaultGameId;
+  }
+
+  /**
+   * Refuser une commande Angular visant la partie ou les buzzers d'une autre salle
+   */
+  rejectCommand(ws, type, reason) {
+    logger.warn(`[Angular] Rejected ${type}: ${reason}`);
+    this.sendToClient(ws, 'ERROR', { message: reason, type });
+  }
+
+  /**
+   * ⭐ Salle d'une partie pour un nouvel hôte (créée si besoin)
+   * Refusée si un autre hôte pilote déjà la partie (hôte de sa salle, ou hôte par défaut
+   * qui l'a lancée), sauf reprise explicite (takeover) par un client authentifié.
+   */
+  claimRoom(ws, gameId, takeover = false) {
+    const room = this.getRoomByGameId(gameId);
+    const defaultHost = this.angularClient;
+    const runByOtherDefaultHost = !room && this.defaultGameId === gameId
+      && !!defaultHost && defaultHost !== ws && defaultHost.readyState === WebSocket.OPEN;
+
+    if ((room && this.hasOtherHost(room, ws)) || runByOtherDefaultHost) {
+      if (!takeover || !ws._user) {
+        throw new Error(
+          `Game ${gameId} is already controlled by another host (takeover requires an authenticated client)`
+        );
+      }
+
+      const reason = `Taken over by ${ws._user.username}`;
+      if (room) {
+        this.releaseHost(room, reason);
+      } else {
+        this.sendToClient(defaultHost, 'HOST_REPLACED', { gameId, reason });
+        logger.info(`[Room] Game ${gameId} taken from the default host: ${reason}`);
+      }
+    }
+
+    const target = room || this.createRoom(gameId);
+
+    // Partie lancée hors salle : ses buzzers suivent la partie dans la nouvelle salle
+    if (this.defaultGameId === gameId) {
+      const game = this.gameService ? this.gameService.activeGames.get(gameId) : null;
+      this.getRoomBuzzerIds(null)
+        .filter(id => game && game.players.has(id))
+        .forEach((id) => {
+          this.moveBuzzerToRoom(id, target);
+          this.sendToBuzzer(id, 'ROOM_JOINED', { roomCode: target.code, gameId });
+        });
+      this.defaultGameId = null;
+    }
+
+    return target;
+  }
+
+  /**
+   * La salle a-t-elle déjà un autre hôte connecté ?
+   */
+  hasOtherHost(room, ws) {
+    return !!(room.host && room.host !== ws && room.host.readyState === WebSocket.OPEN);
+  }
+
+  /**
+   * Détacher l'hôte actuel d'une salle (reprise par un autre client)
+   */
+  releaseHost(room, reason) {
+    const previous = room.host;
+    room.host = null;
+    if (!previous) return;
+
+    previous._roomCode = null;
+    this.sendToClient(previous, 'HOST_REPLACED', { code: room.code, reason });
+    previous.close(4004, 'Host replaced');
+    logger.info(`[Room] Host of room ${room.code} replaced: ${reason}`);
+  }
+
+  /**
+   * Liste des salles (pour /api/status)
+   */
+  getRooms() {
+    return Array.from(this.rooms.values()).map(room => ({
+      code: room.code,
+      gameId: room.gameId,
+      hostConnected: !!(room.host && room.host.readyState === WebSocket.OPEN),
+      buzzers: this.getRoomBuzzerIds(room),
+      createdAt: room.createdAt,
+    }));
+  }
+
+  /**
+   * Angular crée une salle pour une partie et en devient l'hôte
+   */
+  handleRoomCreate(ws, message) {
+    const { gameId } = message.payload;
+
+    try {
+      if (this.gameService) {
+        this.gameService.getGame(gameId);
+      }
+
+      const room = this.claimRoom(ws, gameId, message.payload.takeover);
+
+      // Un hôte pilote une seule salle
+      const previousRoom = ws._roomCode ? this.rooms.get(ws._roomCode) : null;
+      if (previousRoom && previousRoom !== room && previousRoom.host === ws) {
+        previousRoom.host = null;
+      }
+
+      room.host = ws;
+      ws._roomCode = room.code;
+      if (this.angularClient === ws) {
+        this.angularClient = null;
+      }
+
+      this.sendToClient(ws, 'ROOM_CREATED', { code: room.code, gameId });
+      this.logEvent(gameId, 'ROOM_CREATED', { roomCode: room.code });
+      this.sendBuzzerListToAngular(room);
+    } catch (err) {
+      logger.error(`[Room] Error creating room: ${err.message}`);
+      this.sendToClient(ws, 'ERROR', { message: err.message });
+    }
+  }
+
+  /**
+   * Angular affecte un buzzer à sa salle (ou à roomCode)
+   */
+  handleRoomAssignBuzzer(ws, message) {
+    const { buzzerID, roomCode } = message.payload;
+    const code = roomCode !== undefined ? roomCode : ws._roomCode;
+    const room = code ? this.rooms.get(code) : null;
+
+    if (code && !room) {
+      this.sendToClient(ws, 'ERROR', { message: `Room ${code} not found` });
+      return;
+    }
+
+    // Isolation : on ne déplace un buzzer que depuis et vers des salles pilotées par ce client
+    const previousRoom = this.getRoomForBuzzer(buzzerID);
+    if ((room && !this.canControlGame(ws, room.gameId)) || !this.canControlBuzzer(ws, buzzerID)) {
+      this.rejectCommand(ws, message.type, `Buzzer ${buzzerID} cannot be moved by this client`);
+      return;
+    }
+    this.moveBuzzerToRoom(buzzerID, room);
+
+    this.sendToBuzzer(buzzerID, 'ROOM_JOINED', {
+      roomCode: room ? room.code : null,
+      gameId: room ? room.gameId : null,
+    });
+    if (room) {
+      this.logEvent(room.gameId, 'ROOM_BUZZER_ASSIGNED', { roomCode: room.code, buzzerID });
+    }
+    this.autoEnrollBuzzer(this.getGameIdForBuzzer(buzzerID), buzzerID);
+
+    this.sendBuzzerListToAngular(previousRoom);
+    if (room !== previousRoom) {
+      this.sendBuzzerListToAngular(room);
+    }
+  }
+
+  /**
+   * Angular ferme une salle (ses buzzers redeviennent hors salle)
+   */
+  handleRoomClose(ws, message) {
+    const code = (message.payload && message.payload.roomCode) || ws._roomCode;
+    const room = code ? this.rooms.get(code) : null;
+
+    if (!room) {
+      this.sendToClient(ws, 'ERROR', { message: `Room ${code} not found` });
+      return;
+    }
+
+    if (!this.canControlGame(ws, room.gameId)) {
+      this.rejectCommand(ws, message.type, `Room ${code} is not controlled by this client`);
+      return;
+    }
+
+    this.getRoomBuzzerIds(room).forEach((id) => {
+      this.sendToBuzzer(id, 'ROOM_JOINED', { roomCode: null, gameId: null });
+    });
+
+    this.rooms.delete(code);
+    this.logEvent(room.gameId, 'ROOM_CLOSED', { roomCode: code });
+    if (room.host) {
+      room.host._roomCode = null;
+      this.sendToClient(room.host, 'ROOM_CLOSED', { code });
+    }
+
+    logger.info(`[Room] Closed room ${code}`);
+  }
+
+  /**
+   * Un buzzer rejoint une salle par son code
+   */
+  handleRoomJoin(buzzerID, message) {
+    const { roomCode } = message.payload;
+    const room = this.rooms.get(roomCode);
+
+    if (!room) {
+      this.sendToBuzzer(buzzerID, 'ROOM_JOIN_REJECTED', { reason: 'Salle inconnue' });
+      return;
+    }
+
+    const previousRoom = this.getRoomForBuzzer(buzzerID);
+    this.moveBuzzerToRoom(buzzerID, room);
+
+    this.sendToBuzzer(buzzerID, 'ROOM_JOINED', { roomCode: room.code, gameId: room.gameId });
+    this.logEvent(room.gameId, 'ROOM_BUZZER_JOINED', { roomCode: room.code, buzzerID });
+    this.autoEnrollBuzzer(room.gameId, buzzerID);
+
+    this.sendBuzzerListToAngular(previousRoom);
+    if (room !== previousRoom) {
+      this.sendBuzzerListToAngular(room);
+    }
+  }
+
   /**
    * Renommer un joueur
    */
-  handlePlayerRename(message) {
+  handlePlayerRename(ws, message) {
     const { buzzerID, newName } = message.payload;
+
+    if (!this.canControlBuzzer(ws, buzzerID)) {
+      this.rejectCommand(ws, message.type, `Buzzer ${buzzerID} is not controlled by this client`);
+      return;
+    }
+    const gameId = message.payload.gameId || this.getGameIdForBuzzer(buzzerID);
+
+    // Joueur inscrit : renommer dans la partie (le buzzer est mis à jour via onPlayerRenamed)
+    if (this.gameService && gameId) {
+      try {
+        const game = this.gameService.getGame(gameId);
+        if (game.players.has(buzzerID)) {
+          this.gameService.renamePlayer(gameId, buzzerID, newName);
+          logger.info(`[Player] ${buzzerID} renamed to "${newName}" in game ${gameId}`);
+          return;
+        }
+      } catch (err) {
+        logger.warn(`[Player] Cannot rename in game ${gameId}: ${err.message}`);
+      }
+    }
+
     const buzzerData = this.buzzerClients.get(buzzerID);
 
     if (buzzerData) {
@@ -351,13 +1150,97 @@ class WebSocketServer {
     }
   }
 
+  /**
+   * Partie associée à un buzzer : celle de sa salle, sinon celle de l'hôte par défaut
+   */
+  getGameIdForBuzzer(buzzerID) {
+    const room = this.getRoomForBuzzer(buzzerID);
+    return room ? room.gameId : this.defaultGameId;
+  }
+
+  /**
+   * ⭐ Inscrire un buzzer connecté comme joueur (règles dans GameService.autoEnrollPlayer)
+   */
+  autoEnrollBuzzer(gameId, buzzerID) {
+    const buzzerData = this.buzzerClients.get(buzzerID);
+    if (!this.gameService || !gameId || !buzzerData) return;
+
+    const enrolled = this.gameService.autoEnrollPlayer(gameId, buzzerID, buzzerData.info.name);
+    if (!enrolled) return;
+
+    const { player, created } = enrolled;
+
+    if (created) {
+      this.sendToAngular('PLAYER_ENROLLED', {
+        gameId,
+        buzzerID,
+        name: player.name,
+      });
+    } else if (player.name !== buzzerData.info.name) {
+      // Reconnexion : le buzzer reprend le nom du joueur
+      buzzerData.info.name = player.name;
+      this.sendToBuzzer(buzzerID, 'PLAYER_NAME_UPDATE', { name: player.name });
+    }
+  }
+
+  /**
+   * Créer une équipe
+   */
+  handleTeamCreate(message) {
+    const { gameId, name } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      this.gameService.createTeam(gameId, name);
+      this.sendTeamListToAngular(gameId);
+    } catch (err) {
+      logger.error(`[Team] Error creating team: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
+  /**
+   * Affecter un buzzer à une équipe
+   */
+  handleTeamAssign(message) {
+    const { gameId, buzzerID, teamId } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      const team = this.gameService.assignPlayerToTeam(gameId, buzzerID, teamId);
+
+      this.sendToBuzzer(buzzerID, 'TEAM_ASSIGNED', {
+        teamId: team ? team.id : null,
+        teamName: team ? team.name : null,
+      });
+
+      this.sendTeamListToAngular(gameId);
+    } catch (err) {
+      logger.error(`[Team] Error assigning ${buzzerID}: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
+  /**
+   * Envoyer la liste des équipes à Angular
+   */
+  sendTeamListToAngular(gameId) {
+    this.sendToAngular('TEAM_LIST_UPDATE', {
+      gameId,
+      teams: this.gameService.getTeams(gameId),
+    });
+  }
+
   /**
    * Envoyer une question à tous les buzzers
    */
   handleQuestionSend(message) {
     const { gameId, questionId } = message.payload;
 
-    logger.info(`[Game] Sending question ${questionId} to ${this.buzzerClients.size} buzzers`);
+    const targetBuzzers = this.getBuzzerIdsForGame(gameId);
+    logger.info(`[Game] Sending question ${questionId} to ${targetBuzzers.length} buzzers`);
 
     // Récupérer la question depuis la BDD
     let question = null;
@@ -382,7 +1265,7 @@ class WebSocketServer {
       logger.error(`[Game] Question ${questionId} not found!`);
       this.sendToAngular('ERROR', {
         message: `Question ${questionId} introuvable`,
-      });
+      }, gameId);
       return;
     }
 
@@ -394,58 +1277,217 @@ class WebSocketServer {
       type: question.type,
       category: question.category || '',
       points: question.points || 10,
+      media: mediaService.getMediaRefs(question.id),
       startTime: Date.now(),
     };
 
-    // Ajouter les réponses pour les QCM
-    if (question.type === 'MCQ') {
-      let answers = question.answers;
-      if (typeof answers === 'string') {
-        try {
-          answers = JSON.parse(answers);
-        } catch (e) {
-          answers = [answers];
-        }
+    // Ajouter les propositions selon le type de question
+    let answers = question.answers;
+    if (typeof answers === 'string') {
+      try {
+        answers = JSON.parse(answers);
+      } catch (e) {
+        answers = [answers];
+      }
+    }
+
+    switch (question.type) {
+      case 'MCQ':
+      case 'MULTI_SELECT':
+        // Propositions seulement : la bonne réponse reste côté serveur jusqu'à ANSWER_REVEAL
+        questionPayload.answers = answers;
+        break;
+
+      case 'TRUE_FALSE':
+        // Index = valeur répondue (0 = faux, 1 = vrai)
+        questionPayload.answers = ['Faux', 'Vrai'];
+        break;
+
+      case 'ORDERING':
+        // Éléments mélangés : le buzzer renvoie les id dans l'ordre choisi
+        questionPayload.items = this.shuffle(
+          (answers || []).map((text, id) => ({ id, text }))
+        );
+        break;
+
+      default:
+        // BUZZER, TEXT, NUMERIC : pas de propositions
+        break;
+    }
+
+    // ⭐ Démarrer la question côté serveur (chrono, temps de réponse, buzzes)
+    if (this.gameService && gameId) {
+      try {
+        const timer = this.gameService.startQuestion(gameId, question.id, question.type);
+        questionPayload.duration = timer.duration;
+        questionPayload.deadline = timer.deadline;
+      } catch (err) {
+        // Phase incompatible (partie non démarrée, en pause, terminée…) : ne rien diffuser
+        logger.error(`[Game] Error starting question: ${err.message}`);
+        this.sendToAngular('ERROR', { message: err.message }, gameId);
+        return;
       }
-      questionPayload.answers = answers;
-      questionPayload.correct_answer = question.correct_answer;
     }
 
-    // Envoyer à TOUS les buzzers connectés
+    // Envoyer à tous les buzzers de la partie (sa salle, ou hors salle)
     let sentCount = 0;
-    this.buzzerClients.forEach((data, buzzerID) => {
+    targetBuzzers.forEach((buzzerID) => {
       this.sendToBuzzer(buzzerID, 'QUESTION_START', questionPayload);
       sentCount++;
     });
 
     logger.info(`[Game] Question sent to ${sentCount} buzzers`);
 
+    // Écrans d'affichage : même payload (la bonne réponse n'est envoyée qu'à la révélation)
+    this.displayQuestions.set(gameId, { question: questionPayload, reveal: null });
+    this.sendToDisplays('QUESTION_START', questionPayload, gameId);
+
+    // Extrait audio éventuel : streamé après QUESTION_START (même format que les jingles)
+    this.streamQuestionAudio(gameId, question.id, questionPayload.media, targetBuzzers);
+    this.logEvent(gameId, 'QUESTION_SENT', {
+      questionId: question.id,
+      sentTo: Array.from(targetBuzzers),
+      duration: questionPayload.duration,
+    });
+
     // Confirmer à Angular
     this.sendToAngular('QUESTION_SENT', {
+      gameId,
       questionId: question.id,
       sentTo: sentCount,
+      duration: questionPayload.duration,
+      media: questionPayload.media,
       timestamp: Date.now(),
     });
   }
 
+  /**
+   * Navigation libre dans les questions (action : skip | back | jump)
+   */
+  handleQuestionNavigate(message) {
+    const { gameId, action, index, clearResults } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      // Changements de question et fin de partie notifiés via onQuestionChanged / onGameEnded
+      switch (action) {
+        case 'skip':
+          this.gameService.skipQuestion(gameId);
+          break;
+        case 'back':
+          this.gameService.previousQuestion(gameId, { clearResults });
+          break;
+        case 'jump':
+          this.gameService.goToQuestion(gameId, index, { clearResults });
+          break;
+        default:
+          throw new Error(`Unknown navigation action: ${action}`);
+      }
+    } catch (err) {
+      logger.error(`[Game] Navigation error: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
+  /**
+   * Réordonner les questions restantes
+   */
+  handleQuestionsReorder(message) {
+    const { gameId, questionIds } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      const result = this.gameService.reorderQuestions(gameId, questionIds);
+      this.sendToAngular('QUESTIONS_REORDERED', { gameId, ...result });
+    } catch (err) {
+      logger.error(`[Game] Reorder error: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
   /**
    * Démarrer une partie
    */
   handleGameStart(message) {
-    logger.info(`[Game] Starting game: ${message.payload.gameId}`);
+    const { gameId } = message.payload;
+    logger.info(`[Game] Starting game: ${gameId}`);
+
+    // ⭐ Démarrer la partie si elle est encore dans le lobby (sinon déjà démarrée via l'API)
+    const game = this.gameService ? this.gameService.activeGames.get(gameId) : null;
+    if (game) {
+      try {
+        if (game.phase === PHASES.LOBBY) {
+          this.gameService.startGame(gameId);
+        } else if (game.phase === PHASES.ENDED) {
+          throw new Error('Game already ended');
+        }
+      } catch (err) {
+        logger.error(`[Game] Error starting game: ${err.message}`);
+        this.sendToAngular('ERROR', { message: err.message }, gameId);
+        return;
+      }
+    }
 
-    this.broadcastToBuzzers('GAME_STARTED', {
+    // Partie déjà démarrée via l'API : l'inscription a eu lieu au démarrage (onGameStarted)
+    if (!this.getRoomByGameId(gameId)) {
+      this.defaultGameId = gameId;
+    }
+
+    const started = {
       gameId: message.payload.gameId,
       name: message.payload.name,
       totalQuestions: message.payload.totalQuestions,
-    });
+    };
+    this.broadcastToBuzzers('GAME_STARTED', started);
+    this.sendToDisplays('GAME_STARTED', started, gameId);
+  }
+
+  /**
+   * Mettre la partie en pause
+   */
+  handleGamePause(message) {
+    const { gameId } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      // Les buzzers et Angular sont notifiés via le callback onGamePaused
+      this.gameService.pauseGame(gameId);
+    } catch (err) {
+      logger.error(`[Game] Error pausing game: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
+  /**
+   * Reprendre la partie
+   */
+  handleGameResume(message) {
+    const { gameId } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      // Les buzzers et Angular sont notifiés via le callback onGameResumed
+      this.gameService.resumeGame(gameId);
+    } catch (err) {
+      logger.error(`[Game] Error resuming game: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
   }
 
   /**
    * Forcer la déconnexion d'un buzzer
    */
-  handleBuzzerForceDisconnect(message) {
+  handleBuzzerForceDisconnect(ws, message) {
     const { buzzerID } = message.payload;
+
+    if (!this.canControlBuzzer(ws, buzzerID)) {
+      this.rejectCommand(ws, message.type, `Buzzer ${buzzerID} is not controlled by this client`);
+      return;
+    }
     const buzzerData = this.buzzerClients.get(buzzerID);
 
     if (buzzerData) {
@@ -474,16 +1516,23 @@ class WebSocketServer {
         });
 
         this.sendToAngular('BUZZ_VALIDATED', {
+          gameId,
           buzzerID,
           isCorrect: true,
           points: result.points,
           responseTime: result.responseTime,
+          resultId: result.resultId,
         });
 
         this.broadcastToBuzzers('BUZZER_UNLOCKED', { gameId, questionId });
+        this.logEvent(gameId, 'BUZZERS_UNLOCKED', { questionId, excludedPlayers: [] });
+
+        // Question résolue : révélation (si settings.autoReveal), via onAnswerRevealed
+        this.gameService.revealAnswer(gameId, { auto: true });
 
       } catch (err) {
         logger.error(`Error validating buzz: ${err.message}`);
+        this.sendToAngular('ERROR', { message: err.message }, gameId);
       }
     }
   }
@@ -496,12 +1545,19 @@ class WebSocketServer {
 
     logger.info(`[Angular] Reopen buzzer for question ${questionId}, excluding ${buzzerID}`);
 
+    let next = null;
     if (this.gameService) {
       try {
         this.gameService.validateBuzz(gameId, questionId, buzzerID, false);
         this.gameService.excludePlayer(gameId, questionId, buzzerID);
+
+        // ⭐ File des buzzes (settings.buzzQueue) : le suivant prend la main sans nouvelle course
+        // (BUZZER_LOCKED et BUZZ_WINNER envoyés via onBuzzWinner)
+        next = this.gameService.passBuzzToNext(gameId, questionId);
       } catch (err) {
         logger.error(`Error reopening buzzer: ${err.message}`);
+        this.sendToAngular('ERROR', { message: err.message }, gameId);
+        return;
       }
     }
 
@@ -510,7 +1566,20 @@ class WebSocketServer {
       ? this.gameService.getExcludedPlayers(gameId, questionId)
       : [buzzerID];
 
-    this.buzzerClients.forEach((data, id) => {
+    const gameBuzzers = this.getBuzzerIdsForGame(gameId);
+
+    if (next) {
+      gameBuzzers.filter(id => excludedPlayers.includes(id)).forEach((id) => {
+        this.sendToBuzzer(id, 'BUZZER_EXCLUDED', {
+          gameId,
+          questionId,
+          reason: 'Mauvaise réponse',
+        });
+      });
+      return;
+    }
+
+    gameBuzzers.forEach((id) => {
       if (!excludedPlayers.includes(id)) {
         this.sendToBuzzer(id, 'BUZZER_UNLOCKED', {
           gameId,
@@ -525,25 +1594,222 @@ class WebSocketServer {
       }
     });
 
+    this.logEvent(gameId, 'BUZZERS_UNLOCKED', { questionId, excludedPlayers });
+
     this.sendToAngular('BUZZ_REOPENED', {
+      gameId,
       excludedPlayers,
-      remainingPlayers: this.buzzerClients.size - excludedPlayers.length,
+      remainingPlayers: gameBuzzers.filter(id => !excludedPlayers.includes(id)).length,
+    });
+  }
+
+  /**
+   * Angular corrige un résultat (ex: BUZZ_CORRECT cliqué par erreur)
+   */
+  handleResultAmend(message) {
+    const { gameId, resultId, isCorrect, points } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      // Buzzer et Angular sont notifiés via le callback onResultAmended
+      this.gameService.amendResult(gameId, resultId, { isCorrect, points });
+    } catch (err) {
+      logger.error(`[Game] Error amending result ${resultId}: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
+  /**
+   * Angular accepte ou refuse une réponse TEXT limite
+   */
+  handleAnswerReview(message) {
+    const { gameId, resultId, approved } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      // Buzzer et Angular sont notifiés via le callback onReviewResolved
+      this.gameService.resolveReview(gameId, resultId, !!approved);
+    } catch (err) {
+      logger.error(`[Game] Error reviewing result ${resultId}: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
+  /**
+   * Angular demande la révélation de la réponse (ferme la question si elle est encore ouverte)
+   */
+  handleRevealAnswer(message) {
+    const { gameId } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      // Buzzers, Angular et écrans sont notifiés via le callback onAnswerRevealed
+      this.gameService.revealAnswer(gameId);
+    } catch (err) {
+      logger.error(`[Game] Error revealing answer: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
+  /**
+   * Angular annule un résultat
+   */
+  handleResultUndo(message) {
+    const { gameId, resultId } = message.payload;
+
+    if (!this.gameService) return;
+
+    try {
+      // Buzzer et Angular sont notifiés via le callback onResultAmended
+      this.gameService.undoResult(gameId, resultId);
+    } catch (err) {
+      logger.error(`[Game] Error undoing result ${resultId}: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
+  /**
+   * Angular ajoute un bonus / une pénalité manuelle (JWT requis à la connexion)
+   */
+  handleScoreAdjust(ws, message) {
+    const { gameId, buzzerID, amount, reason } = message.payload;
+
+    if (!this.gameService) return;
+
+    if (!ws._user) {
+      this.sendToAngular('ERROR', { message: 'Authentication required for score adjustments' }, gameId);
+      return;
+    }
+
+    if (!Number.isInteger(amount) || amount === 0 || !reason) {
+      this.sendToAngular('ERROR', { message: 'amount (non-zero integer) and reason are required' }, gameId);
+      return;
+    }
+
+    try {
+      // Buzzer et Angular sont notifiés via le callback onScoreAdjusted
+      this.gameService.addAdjustment(gameId, buzzerID, amount, reason, ws._user.username);
+    } catch (err) {
+      logger.error(`[Game] Error adjusting score of ${buzzerID}: ${err.message}`);
+      this.sendToAngular('ERROR', { message: err.message }, gameId);
+    }
+  }
+
+  /**
+   * ⭐ Envoyer à chaque buzzer de la partie son rang, son score, son écart au premier
+   * et le top 3 (RANKING_UPDATE après une question, GAME_OVER en fin de partie)
+   */
+  sendStandingsToBuzzers(gameId, type, extra = {}) {
+    let standings;
+    try {
+      standings = this.gameService.getPlayerStandings(gameId);
+    } catch (err) {
+      logger.error(`[Game] Error computing standings: ${err.message}`);
+      return null;
+    }
+
+    const key = type === 'GAME_OVER' ? 'podium' : 'top';
+
+    this.getBuzzerIdsForGame(gameId).forEach((buzzerID) => {
+      const standing = standings.players.get(buzzerID);
+      if (!standing) return; // buzzer connecté mais pas inscrit
+
+      this.sendToBuzzer(buzzerID, type, {
+        gameId,
+        ...extra,
+        rank: standing.rank,
+        totalPlayers: standings.totalPlayers,
+        score: standing.score,
+        gapToLeader: standing.gapToLeader,
+        [key]: standings.top,
+      });
     });
+
+    return standings;
+  }
+
+  /**
+   * Envoyer le classement à jour à Angular
+   */
+  sendRankingToAngular(gameId) {
+    try {
+      this.sendToAngular('RANKING_UPDATE', {
+        gameId,
+        ranking: this.gameService.getRanking(gameId),
+      });
+    } catch (err) {
+      logger.error(`[Game] Error computing ranking: ${err.message}`);
+    }
+  }
+
+  /**
+   * ⭐ Rejouer le journal d'une partie vers ce client Angular (vue replay)
+   * payload = { gameId, speed, fromSeq, toSeq, maxDelay }
+   */
+  handleReplayStart(ws, message) {
+    const { gameId, speed, fromSeq, toSeq, maxDelay } = message.payload;
+
+    try {
+      const replay = eventLogService.startReplay(
+        gameId,
+        { speed, fromSeq, toSeq, maxDelay },
+        (event) => {
+          this.sendToClient(ws, 'REPLAY_EVENT', { replayId: replay.replayId, gameId, event });
+        },
+        (info) => {
+          ws._replays = (ws._replays || []).filter(id => id !== info.replayId);
+          this.sendToClient(ws, 'REPLAY_ENDED', info);
+        }
+      );
+
+      ws._replays = [...(ws._replays || []), replay.replayId];
+      this.sendToClient(ws, 'REPLAY_STARTED', {
+        ...replay,
+        initialState: eventLogService.rebuildState(gameId, { toSeq: fromSeq ? fromSeq - 1 : 0 }),
+      });
+    } catch (err) {
+      logger.error(`[Replay] Error starting replay: ${err.message}`);
+      this.sendToClient(ws, 'ERROR', { message: err.message });
+    }
+  }
+
+  /**
+   * Arrêter un replay (tous ceux de ce client si replayId est absent)
+   */
+  handleReplayStop(ws, message) {
+    const { replayId } = message.payload || {};
+    const ids = replayId ? [replayId] : (ws._replays || []);
+
+    ids.forEach(id => eventLogService.stopReplay(id));
+  }
+
+  /**
+   * Ajouter un événement WebSocket au journal de la partie
+   */
+  logEvent(gameId, type, payload) {
+    eventLogService.record(gameId, type, payload, 'websocket');
   }
 
   /**
    * ⭐ Envoyer un jingle en streaming à un buzzer donné
    */
-  async handleJinglePlay(message) {
-    const CHUNK_SIZE = 4096; // 4KB par chunk
+  async handleJinglePlay(ws, message) {
     const { buzzerID, jingleId } = message.payload;
 
+    if (!this.canControlBuzzer(ws, buzzerID)) {
+      this.rejectCommand(ws, message.type, `Buzzer ${buzzerID} is not controlled by this client`);
+      return;
+    }
+
     logger.info(`[Jingle] Play request: jingle ${jingleId} → buzzer ${buzzerID}`);
 
     // Vérifier qu'un streaming n'est pas déjà en cours pour ce buzzer
     if (this.activeJingleStreams.has(buzzerID)) {
       logger.warn(`[Jingle] Buzzer ${buzzerID} already receiving a jingle`);
-      this.sendToAngular('JINGLE_ERROR', {
+      this.sendToBuzzerHost(buzzerID, 'JINGLE_ERROR', {
         buzzerID,
         jingleId,
         error: 'Buzzer is already playing a jingle',
@@ -555,7 +1821,7 @@ class WebSocketServer {
     const buzzerData = this.buzzerClients.get(buzzerID);
     if (!buzzerData || buzzerData.ws.readyState !== WebSocket.OPEN) {
       logger.warn(`[Jingle] Buzzer ${buzzerID} not available`);
-      this.sendToAngular('JINGLE_ERROR', {
+      this.sendToBuzzerHost(buzzerID, 'JINGLE_ERROR', {
         buzzerID,
         jingleId,
         error: 'Buzzer not connected',
@@ -575,7 +1841,7 @@ class WebSocketServer {
 
     if (!jingle) {
       logger.error(`[Jingle] Jingle ${jingleId} not found`);
-      this.sendToAngular('JINGLE_ERROR', {
+      this.sendToBuzzerHost(buzzerID, 'JINGLE_ERROR', {
         buzzerID,
         jingleId,
         error: 'Jingle not found',
@@ -588,7 +1854,7 @@ class WebSocketServer {
     const normalizedStored = path.normalize(jingle.file_path);
     if (!path.isAbsolute(jingle.file_path) && resolvedPath !== path.resolve(normalizedStored)) {
       logger.error(`[Jingle] Invalid file path: ${jingle.file_path}`);
-      this.sendToAngular('JINGLE_ERROR', {
+      this.sendToBuzzerHost(buzzerID, 'JINGLE_ERROR', {
         buzzerID,
         jingleId,
         error: 'Invalid file path',
@@ -599,7 +1865,7 @@ class WebSocketServer {
     // Vérifier que le fichier existe
     if (!fs.existsSync(resolvedPath)) {
       logger.error(`[Jingle] File not found: ${resolvedPath}`);
-      this.sendToAngular('JINGLE_ERROR', {
+      this.sendToBuzzerHost(buzzerID, 'JINGLE_ERROR', {
         buzzerID,
         jingleId,
         error: `File not found: ${jingle.file_path}`,
@@ -620,8 +1886,15 @@ class WebSocketServer {
       fileSize,
     });
 
+    this.logEvent(this.getGameIdForBuzzer(buzzerID), 'JINGLE_PLAYED', {
+      buzzerID,
+      jingleId,
+      name: jingle.name,
+      fileSize,
+    });
+
     // Notifier Angular que le streaming a commencé
-    this.sendToAngular('JINGLE_STARTED', {
+    this.sendToBuzzerHost(buzzerID, 'JINGLE_STARTED', {
       buzzerID,
       jingleId,
       name: jingle.name,
@@ -629,50 +1902,119 @@ class WebSocketServer {
     });
 
     // Streamer le fichier en chunks via WebSocket
+    this.streamAudioToBuzzer(buzzerID, jingleId, resolvedPath, {
+      onEnd: (totalChunks) => {
+        logger.info(`[Jingle] Streaming complete: ${totalChunks} chunks sent to ${buzzerID}`);
+        this.sendToBuzzer(buzzerID, 'JINGLE_END', {
+          jingleId,
+          totalChunks,
+          fileSize,
+        });
+        this.sendToBuzzerHost(buzzerID, 'JINGLE_COMPLETED', {
+          buzzerID,
+          jingleId,
+          totalChunks,
+        });
+      },
+      onError: (err) => {
+        logger.error(`[Jingle] Read error: ${err.message}`);
+        this.sendToBuzzerHost(buzzerID, 'JINGLE_ERROR', {
+          buzzerID,
+          jingleId,
+          error: `Read error: ${err.message}`,
+        });
+      },
+    });
+  }
+
+  /**
+   * ⭐ Streamer un fichier audio vers un buzzer en chunks binaires de 4KB
+   * Header de 8 bytes : [4 bytes: streamId (jingle ou média) LE] [4 bytes: chunkIndex LE] [reste: audio data]
+   */
+  streamAudioToBuzzer(buzzerID, streamId, filePath, { onEnd, onError }) {
+    const CHUNK_SIZE = 4096; // 4KB par chunk
+    const buzzerData = this.buzzerClients.get(buzzerID);
+
     this.activeJingleStreams.add(buzzerID);
-    const readStream = fs.createReadStream(resolvedPath, { highWaterMark: CHUNK_SIZE });
+    const readStream = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
     let chunkIndex = 0;
 
     readStream.on('data', (chunk) => {
       if (buzzerData.ws.readyState === WebSocket.OPEN) {
-        // Envoyer le chunk en binaire avec un header de 8 bytes :
-        // [4 bytes: jingleId en little-endian] [4 bytes: chunkIndex en little-endian] [reste: audio data]
         const header = Buffer.alloc(8);
-        header.writeUInt32LE(jingleId, 0);
+        header.writeUInt32LE(streamId, 0);
         header.writeUInt32LE(chunkIndex, 4);
         const packet = Buffer.concat([header, chunk]);
         buzzerData.ws.send(packet);
         chunkIndex++;
       } else {
         readStream.destroy();
-        logger.warn(`[Jingle] Buzzer ${buzzerID} disconnected during streaming`);
+        this.activeJingleStreams.delete(buzzerID);
+        logger.warn(`[Audio] Buzzer ${buzzerID} disconnected during streaming`);
       }
     });
 
     readStream.on('end', () => {
       this.activeJingleStreams.delete(buzzerID);
-      logger.info(`[Jingle] Streaming complete: ${chunkIndex} chunks sent to ${buzzerID}`);
-      this.sendToBuzzer(buzzerID, 'JINGLE_END', {
-        jingleId,
-        totalChunks: chunkIndex,
-        fileSize,
-      });
-      this.sendToAngular('JINGLE_COMPLETED', {
-        buzzerID,
-        jingleId,
-        totalChunks: chunkIndex,
-      });
+      onEnd(chunkIndex);
     });
 
     readStream.on('error', (err) => {
       this.activeJingleStreams.delete(buzzerID);
-      logger.error(`[Jingle] Read error: ${err.message}`);
-      this.sendToAngular('JINGLE_ERROR', {
-        buzzerID,
-        jingleId,
-        error: `Read error: ${err.message}`,
+      onError(err);
+    });
+  }
+
+  /**
+   * Streamer l'extrait audio d'une question (stream=true) aux buzzers de la partie
+   */
+  streamQuestionAudio(gameId, questionId, mediaRefs, buzzerIds) {
+    const ref = mediaRefs.find(m => m.kind === 'audio' && m.streamToBuzzers);
+    if (!ref) return;
+
+    const media = mediaService.getMedia(ref.id);
+    const filePath = media ? mediaService.getFilePath(media) : null;
+    if (!filePath || !fs.existsSync(filePath)) {
+      logger.error(`[Media] File not found for media ${ref.id}`);
+      this.sendToAngular('MEDIA_ERROR', { gameId, questionId, mediaId: ref.id, error: 'File not found' });
+      return;
+    }
+
+    const format = path.extname(filePath).toLowerCase().replace('.', '');
+
+    buzzerIds.forEach((buzzerID) => {
+      const buzzerData = this.buzzerClients.get(buzzerID);
+      if (!buzzerData || buzzerData.ws.readyState !== WebSocket.OPEN) return;
+
+      if (this.activeJingleStreams.has(buzzerID)) {
+        logger.warn(`[Media] Buzzer ${buzzerID} already receiving audio, media ${ref.id} skipped`);
+        return;
+      }
+
+      this.sendToBuzzer(buzzerID, 'MEDIA_START', {
+        questionId,
+        mediaId: ref.id,
+        format,
+        fileSize: ref.size,
+      });
+
+      this.streamAudioToBuzzer(buzzerID, ref.id, filePath, {
+        onEnd: (totalChunks) => {
+          this.sendToBuzzer(buzzerID, 'MEDIA_END', {
+            questionId,
+            mediaId: ref.id,
+            totalChunks,
+            fileSize: ref.size,
+          });
+        },
+        onError: (err) => {
+          logger.error(`[Media] Read error: ${err.message}`);
+          this.sendToAngular('MEDIA_ERROR', { gameId, questionId, mediaId: ref.id, buzzerID, error: err.message });
+        },
       });
     });
+
+    logger.info(`[Media] Streaming media ${ref.id} of question ${questionId} to ${buzzerIds.length} buzzers`);
   }
 
   // ═══════════════════════════════════════════════════
@@ -703,13 +2045,22 @@ class WebSocketServer {
         break;
 
       case 'ANSWER_MCQ':
-        this.handleMCQAnswer(buzzerID, message);
+      case 'ANSWER_TEXT':
+      case 'ANSWER_TRUE_FALSE':
+      case 'ANSWER_NUMERIC':
+      case 'ANSWER_ORDERING':
+      case 'ANSWER_MULTI_SELECT':
+        this.handleAnswer(buzzerID, message);
         break;
 
       case 'ANSWER_BUZZER':
         this.handleBuzzerBuzz(buzzerID, message);
         break;
 
+      case 'ROOM_JOIN':
+        this.handleRoomJoin(buzzerID, message);
+        break;
+
       default:
         logger.debug(`[${buzzerID}] Unhandled: ${message.type}`);
     }
@@ -725,7 +2076,7 @@ class WebSocketServer {
       buzzerData.info.wifiRSSI = message.payload.wifiRSSI;
     }
 
-    this.sendToAngular('BUZZER_STATUS_UPDATE', {
+    this.sendToBuzzerHost(buzzerID, 'BUZZER_STATUS_UPDATE', {
       buzzerID,
       battery: message.payload.battery,
       wifiRSSI: message.payload.wifiRSSI,
@@ -734,12 +2085,13 @@ class WebSocketServer {
   }
 
   /**
-   * Gérer une réponse QCM
+   * Gérer une réponse (ANSWER_MCQ, ANSWER_TEXT, ANSWER_TRUE_FALSE, ANSWER_NUMERIC,
+   * ANSWER_ORDERING, ANSWER_MULTI_SELECT)
    */
-  handleMCQAnswer(buzzerID, message) {
+  handleAnswer(buzzerID, message) {
     const { gameId, questionId, answer, timestamps } = message.payload;
 
-    logger.info(`[${buzzerID}] MCQ answer: question=${questionId}, answer=${answer}`);
+    logger.info(`[${buzzerID}] ${message.type} answer: question=${questionId}, answer=${JSON.stringify(answer)}`);
 
     let result = { isCorrect: false, points: 0, responseTime: 0 };
 
@@ -747,24 +2099,39 @@ class WebSocketServer {
       try {
         result = this.gameService.recordAnswer(gameId, questionId, buzzerID, answer, timestamps);
       } catch (err) {
-        logger.error(`[${buzzerID}] Error recording MCQ answer: ${err.message}`);
+        logger.error(`[${buzzerID}] Error recording answer: ${err.message}`);
+        result = { rejected: true, reason: err.message };
       }
     }
 
-    this.sendToBuzzer(buzzerID, 'ANSWER_RESULT', {
+    if (result.rejected) {
+      this.sendToBuzzer(buzzerID, 'ANSWER_REJECTED', {
+        questionId,
+        reason: result.reason,
+      });
+      return;
+    }
+
+    // ⭐ Simple accusé de réception : correction et points n'arrivent qu'avec ANSWER_REVEAL
+    // (sinon ANSWER_RESULT révélerait la bonne réponse pendant que la question est ouverte)
+    this.sendToBuzzer(buzzerID, 'ANSWER_ACK', {
       questionId,
-      isCorrect: result.isCorrect,
-      points: result.points,
       responseTime: result.responseTime,
     });
 
     this.sendToAngular('ANSWER_RECEIVED', {
+      gameId,
       buzzerID,
       questionId,
       answer,
       isCorrect: result.isCorrect,
       points: result.points,
       responseTime: result.responseTime,
+      resultId: result.resultId,
+      pendingReview: !!result.pendingReview,
+      similarity: result.grading ? result.grading.similarity : undefined,
+      credit: result.credit,
+      deferred: !!result.deferred,
       timestamps,
     });
   }
@@ -785,15 +2152,40 @@ class WebSocketServer {
     try {
       const result = this.gameService.recordBuzz(gameId, questionId, buzzerID, timestamps);
 
-      if (result.ignored) {
+      this.logEvent(gameId, 'BUZZ_RECEIVED', {
+        questionId,
+        buzzerID,
+        timestamps: timestamps || null,
+        responseTime: result.responseTime ?? null,
+        ignored: !!result.ignored,
+        reason: result.reason || null,
+      });
+
+      if (result.falseStart) {
+        // ⭐ Faux départ : le joueur est bloqué (durée ou toute la question)
+        const falseStart = {
+          gameId,
+          questionId,
+          buzzerID,
+          responseTime: result.responseTime,
+          lockedUntil: result.lockedUntil,
+          wholeQuestion: result.lockedUntil === null,
+        };
+        this.sendToBuzzer(buzzerID, 'BUZZ_FALSE_START', falseStart);
+        this.sendToAngular('BUZZ_FALSE_START', { ...falseStart, resultId: result.resultId });
+      } else if (result.ignored) {
         logger.info(`[${buzzerID}] Buzz ignored: ${result.reason}`);
         this.sendToBuzzer(buzzerID, 'BUZZ_IGNORED', {
           reason: result.reason,
+          lockedUntil: result.lockedUntil,
         });
       }
       // Le gagnant sera notifié via le callback onBuzzWinner
     } catch (err) {
       logger.error(`[${buzzerID}] Error handling buzz: ${err.message}`);
+      this.sendToBuzzer(buzzerID, 'BUZZ_IGNORED', {
+        reason: err.message,
+      });
     }
   }
 
@@ -813,12 +2205,47 @@ class WebSocketServer {
     }
   }
 
-  sendToAngular(type, payload) {
-    if (this.angularClient && this.angularClient.readyState === WebSocket.OPEN) {
-      this.sendToClient(this.angularClient, type, payload);
+  /**
+   * Envoyer à l'hôte Angular de la salle de la partie (hôte par défaut si pas de salle)
+   */
+  sendToAngular(type, payload, gameId = payload.gameId) {
+    const room = this.getRoomByGameId(gameId);
+    const client = room ? room.host : this.angularClient;
+
+    if (client && client.readyState === WebSocket.OPEN) {
+      this.sendToClient(client, type, payload);
     } else {
       logger.debug(`[WebSocket] Angular not connected, cannot send ${type}`);
     }
+
+    // Relayer aux écrans d'affichage les messages publics (payload filtré)
+    if (DISPLAY_FEED[type]) {
+      this.sendToDisplays(type, DISPLAY_FEED[type](payload), gameId);
+    }
+  }
+
+  /**
+   * Envoyer aux écrans d'affichage de la partie (sa salle, ou écrans hors salle)
+   */
+  sendToDisplays(type, payload, gameId = payload.gameId) {
+    if (this.displayClients.size === 0) return;
+
+    const room = this.getRoomByGameId(gameId);
+    const roomCode = room ? room.code : null;
+
+    this.displayClients.forEach((ws) => {
+      if (ws._roomCode === roomCode) {
+        this.sendToClient(ws, type, payload);
+      }
+    });
+  }
+
+  /**
+   * Envoyer à l'hôte Angular de la salle d'un buzzer
+   */
+  sendToBuzzerHost(buzzerID, type, payload) {
+    const room = this.getRoomForBuzzer(buzzerID);
+    this.sendToAngular(type, payload, room ? room.gameId : null);
   }
 
   sendToBuzzer(buzzerID, type, payload) {
@@ -830,19 +2257,38 @@ class WebSocketServer {
     }
   }
 
-  broadcastToBuzzers(type, payload) {
+  /**
+   * Diffuser aux buzzers de la partie (sa salle, ou les buzzers hors salle)
+   */
+  broadcastToBuzzers(type, payload, gameId = payload.gameId) {
     let count = 0;
-    this.buzzerClients.forEach((data, buzzerID) => {
+    this.getBuzzerIdsForGame(gameId).forEach((buzzerID) => {
       this.sendToBuzzer(buzzerID, type, payload);
       count++;
     });
     logger.info(`[WebSocket] Broadcast ${type} to ${count} buzzers`);
   }
 
+  /**
+   * Mélanger une copie d'un tableau (Fisher-Yates)
+   */
+  shuffle(items) {
+    const shuffled = items.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
   logConnectionStatus() {
-    const angularCount = this.angularClient ? 1 : 0;
+    const roomHosts = Array.from(this.rooms.values()).filter(r => r.host).length;
+    const angularCount = (this.angularClient ? 1 : 0) + roomHosts;
     const buzzerCount = this.buzzerClients.size;
-    logger.info(`[Status] ${angularCount} Angular, ${buzzerCount} Buzzers`);
+    logger.info(
+      `[Status] ${angularCount} Angular, ${buzzerCount} Buzzers, ` +
+      `${this.displayClients.size} Displays, ${this.rooms.size} Rooms`
+    );
   }
 }
 